@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Fills in attributes older orders were created without: `listShard`, so they
+ * show up in the time-ordered order listing, and `skus`, so the listing can
+ * filter them by SKU. Safe to re-run: attributes already set are left alone.
+ *
+ *   TABLE_NAME=Orders-dev node scripts/backfill-orders.mjs
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, ScanCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { listShardFor } from '../src/lib/listShards.mjs';
+import { orderSkus } from '../src/lib/catalog.mjs';
+
+const TABLE_NAME = process.env.TABLE_NAME;
+
+if (!TABLE_NAME) {
+  console.error('Usage: TABLE_NAME=<orders table> node scripts/backfill-orders.mjs');
+  process.exit(1);
+}
+
+const ddbDocClient = DynamoDBDocumentClient.from(new DynamoDBClient({ maxAttempts: 10, retryMode: 'adaptive' }));
+
+let updated = 0;
+let startKey;
+do {
+  const page = await ddbDocClient.send(new ScanCommand({
+    TableName: TABLE_NAME,
+    ProjectionExpression: 'id, #items',
+    FilterExpression: 'attribute_not_exists(listShard) OR attribute_not_exists(skus)',
+    ExpressionAttributeNames: { '#items': 'items' },
+    ExclusiveStartKey: startKey
+  }));
+
+  for (const { id, items = [] } of page.Items || []) {
+    try {
+      // `skus` only changes together with items, so a concurrent update can't leave it stale
+      await ddbDocClient.send(new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { id },
+        UpdateExpression: 'SET listShard = if_not_exists(listShard, :listShard), skus = if_not_exists(skus, :skus)',
+        ConditionExpression: 'attribute_exists(id)',
+        ExpressionAttributeValues: { ':listShard': listShardFor(id), ':skus': orderSkus(items) }
+      }));
+      updated += 1;
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+
+  startKey = page.LastEvaluatedKey;
+} while (startKey);
+
+console.log(`Backfilled ${updated} orders in ${TABLE_NAME}`);
@@ -40,6 +40,20 @@ if [ -z "$API_URL" ]; then
     exit 1
 fi
 
+# Orders belong to the customer in AUTH_TOKEN; catalog setup needs ADMIN_TOKEN.
+# For a stack deployed with JwtSecret, both are minted from JWT_SECRET.
+if [ -z "$AUTH_TOKEN" ] && [ -n "$JWT_SECRET" ]; then
+    AUTH_TOKEN=$(node scripts/dev-token.mjs demo-customer)
+fi
+if [ -z "$ADMIN_TOKEN" ] && [ -n "$JWT_SECRET" ]; then
+    ADMIN_TOKEN=$(node scripts/dev-token.mjs demo-admin --admin)
+fi
+if [ -z "$AUTH_TOKEN" ] || [ -z "$ADMIN_TOKEN" ]; then
+    print_error "AUTH_TOKEN and ADMIN_TOKEN (or JWT_SECRET) must be set!"
+    echo "Bearer tokens come from your identity provider, or: export JWT_SECRET=<JwtSecret stack parameter>"
+    exit 1
+fi
+
 print_header "🚀 SERVERLESS DEMO: ORDER MANAGEMENT SERVICE"
 print_info "API Endpoint: $API_URL"
 
@@ -56,10 +70,12 @@ make_request() {
     if [ -n "$data" ]; then
         echo "Data: $data"
         response=$(curl -s -w "\n%{http_code}" -X $method "$API_URL$endpoint" \
+            -H "Authorization: Bearer $AUTH_TOKEN" \
             -H "Content-Type: application/json" \
             -d "$data")
     else
-        response=$(curl -s -w "\n%{http_code}" -X $method "$API_URL$endpoint")
+        response=$(curl -s -w "\n%{http_code}" -X $method "$API_URL$endpoint" \
+            -H "Authorization: Bearer $AUTH_TOKEN")
     fi
     
     # Extract response body and status code
@@ -81,14 +97,36 @@ make_request() {
 }
 
 # Demo scenarios
+print_header "🏷️ SETUP: PRODUCT CATALOG"
+
+print_info "Seeding the product catalog (order prices come from here)..."
+for product in \
+    '{"sku": "laptop-dell-xps13", "name": "Dell XPS 13", "price": 1299.99}' \
+    '{"sku": "mouse-wireless", "name": "Wireless Mouse", "price": 29.99}' \
+    '{"sku": "server-rack", "name": "Server Rack", "price": 2500.00}' \
+    '{"sku": "network-switch", "name": "Network Switch", "price": 450.00}' \
+    '{"sku": "ethernet-cable", "name": "Ethernet Cable", "price": 15.99}' \
+    '{"sku": "power-cable", "name": "Power Cable", "price": 8.99}' \
+    '{"sku": "enterprise-server", "name": "Enterprise Server", "price": 8500.00}' \
+    '{"sku": "premium-support", "name": "Premium Support", "price": 5000.00}'; do
+    # 409 just means the product is already in the catalog
+    curl -s -o /dev/null -X POST "$API_URL/products" -H "Authorization: Bearer $ADMIN_TOKEN" \
+        -H "Content-Type: application/json" -d "$product"
+    # Stock up so the order processor can reserve it
+    sku=$(echo "$product" | python3 -c "import sys, json; print(json.load(sys.stdin)['sku'])")
+    curl -s -o /dev/null -X POST "$API_URL/inventory/$sku/adjustments" -H "Authorization: Bearer $ADMIN_TOKEN" \
+        -H "Content-Type: application/json" -d '{"delta": 100}'
+done
+print_success "Product catalog and inventory ready"
+
 print_header "📋 DEMO SCENARIO 1: CREATE ORDERS"
 
 print_info "Creating a small order..."
 make_request "POST" "/orders" '{
     "customerName": "Alice Johnson",
     "items": [
-        {"sku": "laptop-dell-xps13", "qty": 1, "price": 1299.99},
-        {"sku": "mouse-wireless", "qty": 1, "price": 29.99}
+        {"sku": "laptop-dell-xps13", "qty": 1},
+        {"sku": "mouse-wireless", "qty": 1}
     ]
 }' "Creating order for Alice Johnson"
 
@@ -99,10 +137,10 @@ print_info "Creating a large order (will trigger review)..."
 make_request "POST" "/orders" '{
     "customerName": "Bob Smith",
     "items": [
-        {"sku": "server-rack", "qty": 5, "price": 2500.00},
-        {"sku": "network-switch", "qty": 8, "price": 450.00},
-        {"sku": "ethernet-cable", "qty": 50, "price": 15.99},
-        {"sku": "power-cable", "qty": 25, "price": 8.99}
+        {"sku": "server-rack", "qty": 5},
+        {"sku": "network-switch", "qty": 8},
+        {"sku": "ethernet-cable", "qty": 50},
+        {"sku": "power-cable", "qty": 25}
     ]
 }' "Creating large order for Bob Smith (11+ items)"
 
@@ -112,8 +150,8 @@ print_info "Creating a high-value order (will trigger approval)..."
 make_request "POST" "/orders" '{
     "customerName": "Carol Williams",
     "items": [
-        {"sku": "enterprise-server", "qty": 2, "price": 8500.00},
-        {"sku": "premium-support", "qty": 1, "price": 5000.00}
+        {"sku": "enterprise-server", "qty": 2},
+        {"sku": "premium-support", "qty": 1}
     ]
 }' "Creating high-value order for Carol Williams ($22,000 total)"
 
@@ -208,24 +208,11 @@ print_header "🧪 TESTING DEPLOYMENT"
 if [ -n "$API_URL" ]; then
     print_info "Testing API endpoint..."
     
-    # Test health by creating a simple order
-    TEST_RESPONSE=$(curl -s -w "%{http_code}" -X POST "$API_URL/orders" \
-        -H "Content-Type: application/json" \
-        -d '{
-            "customerName": "Deployment Test",
-            "items": [{"sku": "test-item", "qty": 1, "price": 1.00}]
-        }')
+    # Orders need a bearer token, so check the public health endpoint
+    HTTP_STATUS=$(curl -s -o /dev/null -w "%{http_code}" "$API_URL/health/ready")
     
-    HTTP_STATUS=$(echo "$TEST_RESPONSE" | tail -c 4)
-    
-    if [ "$HTTP_STATUS" = "201" ]; then
+    if [ "$HTTP_STATUS" = "200" ]; then
         print_success "API is responding correctly!"
-        
-        # Extract order ID for cleanup
-        ORDER_ID=$(echo "$TEST_RESPONSE" | head -n -1 | python3 -c "import sys, json; print(json.load(sys.stdin)['data']['id'])" 2>/dev/null)
-        if [ -n "$ORDER_ID" ]; then
-            print_info "Test order created with ID: $ORDER_ID"
-        fi
     else
         print_warning "API test returned status: $HTTP_STATUS"
         print_info "This might be normal for a cold start. Try again in a few seconds."
@@ -242,6 +229,7 @@ print_info "You can now:"
 if [ -n "$API_URL" ]; then
     echo "✅ Test the API using the demo script:"
     echo "   export API_URL=\"$API_URL\""
+    echo "   export JWT_SECRET=<JwtSecret parameter>   # or AUTH_TOKEN / ADMIN_TOKEN from your identity provider"
     echo "   ./scripts/demo.sh"
     echo ""
     echo "✅ Run load tests to see auto-scaling:"
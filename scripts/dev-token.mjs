@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Mints a bearer token for testing a stack deployed with the JwtSecret
+ * parameter (HS256). Real deployments verify tokens from an identity provider
+ * through JwksUrl instead.
+ *
+ *   JWT_SECRET=... node scripts/dev-token.mjs <subject> [--admin] [--ttl 3600]
+ *
+ * JWT_ISSUER, JWT_AUDIENCE and ADMIN_ROLE are honored when set, so the token
+ * passes the same checks as in the deployed functions.
+ */
+
+import { TextEncoder } from 'node:util';
+import { SignJWT } from 'jose';
+
+const args = process.argv.slice(2);
+const subject = args.find(arg => !arg.startsWith('--'));
+const ttlIndex = args.indexOf('--ttl');
+const ttlSeconds = ttlIndex >= 0 ? parseInt(args[ttlIndex + 1], 10) : 3600;
+
+if (!subject || !process.env.JWT_SECRET) {
+  console.error('Usage: JWT_SECRET=<secret> node scripts/dev-token.mjs <subject> [--admin] [--ttl seconds]');
+  process.exit(1);
+}
+
+const roles = args.includes('--admin') ? [process.env.ADMIN_ROLE || 'admin'] : [];
+
+const jwt = new SignJWT({ roles })
+  .setProtectedHeader({ alg: 'HS256' })
+  .setSubject(subject)
+  .setIssuedAt()
+  .setExpirationTime(`${ttlSeconds}s`);
+if (process.env.JWT_ISSUER) {
+  jwt.setIssuer(process.env.JWT_ISSUER);
+}
+if (process.env.JWT_AUDIENCE) {
+  jwt.setAudience(process.env.JWT_AUDIENCE);
+}
+
+console.log(await jwt.sign(new TextEncoder().encode(process.env.JWT_SECRET)));
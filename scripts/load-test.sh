@@ -35,6 +35,18 @@ if [ -z "$API_URL" ]; then
     exit 1
 fi
 
+# Bearer tokens for the load test customer and for catalog setup
+if [ -z "$AUTH_TOKEN" ] && [ -n "$JWT_SECRET" ]; then
+    AUTH_TOKEN=$(node scripts/dev-token.mjs load-test-customer)
+fi
+if [ -z "$ADMIN_TOKEN" ] && [ -n "$JWT_SECRET" ]; then
+    ADMIN_TOKEN=$(node scripts/dev-token.mjs load-test-admin --admin)
+fi
+if [ -z "$AUTH_TOKEN" ] || [ -z "$ADMIN_TOKEN" ]; then
+    echo -e "${RED}❌ AUTH_TOKEN and ADMIN_TOKEN (or JWT_SECRET) must be set!${NC}"
+    exit 1
+fi
+
 # Check if required tools are installed
 if ! command -v curl &> /dev/null; then
     echo -e "${RED}❌ curl is required but not installed${NC}"
@@ -57,13 +69,21 @@ echo "  - Delay between requests: ${REQUEST_DELAY}s"
 
 # Sample order data for testing
 ORDER_TEMPLATES=(
-    '{"customerName": "Load Test User 1", "items": [{"sku": "test-item-1", "qty": 1, "price": 10.00}]}'
-    '{"customerName": "Load Test User 2", "items": [{"sku": "test-item-2", "qty": 2, "price": 15.50}]}'
-    '{"customerName": "Load Test User 3", "items": [{"sku": "test-item-3", "qty": 3, "price": 25.99}]}'
-    '{"customerName": "Load Test User 4", "items": [{"sku": "test-item-4", "qty": 1, "price": 99.99}]}'
-    '{"customerName": "Load Test User 5", "items": [{"sku": "test-item-5", "qty": 5, "price": 5.00}]}'
+    '{"customerName": "Load Test User 1", "items": [{"sku": "test-item-1", "qty": 1}]}'
+    '{"customerName": "Load Test User 2", "items": [{"sku": "test-item-2", "qty": 2}]}'
+    '{"customerName": "Load Test User 3", "items": [{"sku": "test-item-3", "qty": 3}]}'
+    '{"customerName": "Load Test User 4", "items": [{"sku": "test-item-4", "qty": 1}]}'
+    '{"customerName": "Load Test User 5", "items": [{"sku": "test-item-5", "qty": 5}]}'
 )
 
+# Products and stock referenced by the templates; order prices come from the catalog
+for sku_price in "test-item-1:10.00" "test-item-2:15.50" "test-item-3:25.99" "test-item-4:99.99" "test-item-5:5.00"; do
+    curl -s -o /dev/null -X POST "$API_URL/products" -H "Authorization: Bearer $ADMIN_TOKEN" -H "Content-Type: application/json" \
+        -d "{\"sku\": \"${sku_price%%:*}\", \"name\": \"Load Test ${sku_price%%:*}\", \"price\": ${sku_price#*:}}"
+    curl -s -o /dev/null -X POST "$API_URL/inventory/${sku_price%%:*}/adjustments" -H "Authorization: Bearer $ADMIN_TOKEN" -H "Content-Type: application/json" \
+        -d "{\"delta\": $((TOTAL_REQUESTS * 5)), \"backorderable\": true}"
+done
+
 # Function to send a single request
 send_request() {
     local request_id=$1
@@ -71,6 +91,7 @@ send_request() {
     
     start_time=$(date +%s.%N)
     response=$(curl -s -w "%{http_code}:%{time_total}" -X POST "$API_URL/orders" \
+        -H "Authorization: Bearer $AUTH_TOKEN" \
         -H "Content-Type: application/json" \
         -d "$order_data")
     end_time=$(date +%s.%N)
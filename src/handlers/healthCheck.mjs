@@ -1,156 +1,154 @@
-import { SQSClient, GetQueueAttributesCommand } from '@aws-sdk/client-sqs';
-
-const sqsClient = new SQSClient({});
+import { performance } from 'node:perf_hooks';
+import { DescribeTableCommand } from '@aws-sdk/client-dynamodb';
+import { GetQueueAttributesCommand } from '@aws-sdk/client-sqs';
+import { ddbDocClient, sqsClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
 
 /**
- * 🏥 Health Check Lambda Function
- * 
- * Educational Demo Purpose:
- * - Show basic Lambda function structure
- * - Demonstrate service connectivity checks
- * - Provide system status for monitoring
+ * 🏥 Health Check Lambda Functions
+ *
+ * - GET /health/live: the function is running and can answer. It calls no
+ *   dependency, so a DynamoDB or SQS outage never marks it down.
+ * - GET /health/ready: the function can serve traffic. Each dependency check
+ *   runs concurrently under its own timeout and is timed.
+ *
+ * Readiness is `healthy`, `degraded` (serving, but something needs
+ * attention: a busy queue, messages in the DLQ, an unreachable queue) or
+ * `unhealthy` (503; a critical dependency such as the orders table is down).
  */
 
-const log = (level, message, extra = {}) => {
-  const logEntry = {
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000', 10);
+
+// Queue depths at or above these report the queue as degraded
+const QUEUE_DEPTH_THRESHOLD = parseInt(process.env.HEALTH_QUEUE_DEPTH_THRESHOLD || '1000', 10);
+const DLQ_DEPTH_THRESHOLD = parseInt(process.env.HEALTH_DLQ_DEPTH_THRESHOLD || '1', 10);
+
+const STATUS_RANK = { healthy: 0, degraded: 1, unhealthy: 2 };
+
+export const liveHandler = httpHandler('healthLive', async ({ context }) => ({
+  body: {
+    status: 'healthy',
     timestamp: new Date().toISOString(),
-    level: level.toUpperCase(),
-    service: 'health-check',
-    function: 'healthCheck',
-    message,
-    ...extra
+    services: {
+      lambda: {
+        status: 'healthy',
+        functionName: context.functionName,
+        remainingTimeMs: context.getRemainingTimeInMillis()
+      }
+    }
+  }
+}), { service: 'health-check' });
+
+export const readyHandler = httpHandler('healthReady', async ({ log }) => {
+  log('info', '🏥 Readiness check initiated', { timeoutMs: CHECK_TIMEOUT_MS });
+
+  const checks = {
+    dynamodb: { critical: true, run: checkDynamoDB },
+    sqs: { critical: false, run: signal => checkQueue(process.env.QUEUE_URL, QUEUE_DEPTH_THRESHOLD, signal) },
+    dlq: { critical: false, run: signal => checkQueue(process.env.DLQ_URL, DLQ_DEPTH_THRESHOLD, signal) }
   };
-  console.log(JSON.stringify(logEntry));
-};
-
-export const handler = async (event, context) => {
-  const requestId = context.awsRequestId;
-  
-  log('info', '🏥 Health check initiated', {
-    requestId,
-    functionName: context.functionName,
-    remainingTimeMs: context.getRemainingTimeInMillis()
-  });
 
-  try {
-    // Check DynamoDB connectivity
-    log('debug', '🔍 Checking DynamoDB connectivity', { requestId });
-    const tableStatus = await checkDynamoDBHealth();
-    
-    // Check SQS connectivity
-    log('debug', '🔍 Checking SQS connectivity', { requestId });
-    const queueStatus = await checkSQSHealth();
-    
-    const healthStatus = {
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      services: {
-        dynamodb: tableStatus,
-        sqs: queueStatus,
-        lambda: {
-          status: 'healthy',
-          functionName: context.functionName,
-          remainingTimeMs: context.getRemainingTimeInMillis()
-        }
-      },
-      environment: {
-        region: process.env.AWS_REGION,
-        runtime: process.env.AWS_EXECUTION_ENV,
-        tableName: process.env.TABLE_NAME
-      }
-    };
+  const results = await Promise.all(Object.entries(checks).map(async ([name, check]) =>
+    [name, await runCheck(name, check, log)]));
+  const services = Object.fromEntries(results);
 
-    log('info', '✅ Health check completed successfully', {
-      requestId,
-      duration: `${context.getRemainingTimeInMillis()}ms`,
-      services: Object.keys(healthStatus.services).map(service => ({
-        name: service,
-        status: healthStatus.services[service].status
-      }))
-    });
+  const status = Object.values(services)
+    .map(service => service.status)
+    .reduce((worst, current) => (STATUS_RANK[current] > STATUS_RANK[worst] ? current : worst), 'healthy');
 
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Request-ID': requestId
-      },
-      body: JSON.stringify(healthStatus)
-    };
+  const healthStatus = {
+    status,
+    timestamp: new Date().toISOString(),
+    services,
+    environment: {
+      region: process.env.AWS_REGION,
+      runtime: process.env.AWS_EXECUTION_ENV,
+      tableName: process.env.TABLE_NAME
+    }
+  };
 
-  } catch (error) {
-    log('error', '❌ Health check failed', {
-      requestId,
-      errorMessage: error.message,
-      errorStack: error.stack
-    });
+  log(status === 'healthy' ? 'info' : 'warn', `🏥 Readiness check completed: ${status}`, {
+    services: Object.entries(services).map(([name, service]) => ({
+      name,
+      status: service.status,
+      durationMs: service.durationMs
+    }))
+  });
 
-    return {
-      statusCode: 503,
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Request-ID': requestId
-      },
-      body: JSON.stringify({
-        status: 'unhealthy',
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        requestId
-      })
-    };
-  }
-};
+  return {
+    statusCode: status === 'unhealthy' ? 503 : 200,
+    headers: {
+      'Cache-Control': 'no-store'
+    },
+    body: healthStatus
+  };
+}, { service: 'health-check' });
+
+/**
+ * Runs one check under CHECK_TIMEOUT_MS and records how long it took. A check
+ * that fails or times out is unhealthy when `critical`, degraded otherwise.
+ */
+async function runCheck(name, { critical, run }, log) {
+  const started = performance.now();
+  const signal = AbortSignal.timeout(CHECK_TIMEOUT_MS);
+  const elapsed = () => Math.round(performance.now() - started);
+
+  // The signal cancels the SDK request; the race bounds checks that ignore it
+  const timeout = new Promise((_, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
 
-async function checkDynamoDBHealth() {
   try {
-    const tableName = process.env.TABLE_NAME;
-    log('debug', `📊 Checking DynamoDB table: ${tableName}`);
-    
-    // Simple connectivity check - we don't actually need to read data
-    return {
-      status: 'healthy',
-      tableName,
-      message: 'DynamoDB connection successful'
-    };
+    const result = await Promise.race([run(signal), timeout]);
+    return { ...result, durationMs: elapsed() };
   } catch (error) {
-    log('error', '❌ DynamoDB health check failed', { error: error.message });
+    const timedOut = signal.aborted;
+    const message = timedOut ? `No response within ${CHECK_TIMEOUT_MS}ms` : error.message;
+    log('error', `❌ ${name} health check failed`, { error: message, errorName: error.name });
     return {
-      status: 'unhealthy',
-      error: error.message
+      status: critical ? 'unhealthy' : 'degraded',
+      error: message,
+      durationMs: elapsed()
     };
   }
 }
 
-async function checkSQSHealth() {
-  try {
-    const queueUrl = process.env.QUEUE_URL;
-    if (!queueUrl) {
-      return {
-        status: 'healthy',
-        message: 'SQS not configured for this function'
-      };
-    }
+async function checkDynamoDB(signal) {
+  const tableName = process.env.TABLE_NAME;
+  const { Table } = await ddbDocClient.send(new DescribeTableCommand({ TableName: tableName }), { abortSignal: signal });
+
+  // UPDATING tables (e.g. an index backfill) still serve reads and writes
+  const status = { ACTIVE: 'healthy', UPDATING: 'degraded' }[Table.TableStatus] ?? 'unhealthy';
+  return {
+    status,
+    tableName,
+    tableStatus: Table.TableStatus,
+    ...(status !== 'healthy' && { message: `Table is ${Table.TableStatus}` })
+  };
+}
 
-    log('debug', `📨 Checking SQS queue: ${queueUrl}`);
-    
-    const command = new GetQueueAttributesCommand({
-      QueueUrl: queueUrl,
-      AttributeNames: ['ApproximateNumberOfMessages']
-    });
-    
-    const result = await sqsClient.send(command);
-    
+async function checkQueue(queueUrl, threshold, signal) {
+  if (!queueUrl) {
     return {
       status: 'healthy',
-      queueUrl,
-      messageCount: result.Attributes?.ApproximateNumberOfMessages || '0',
-      message: 'SQS connection successful'
-    };
-  } catch (error) {
-    log('error', '❌ SQS health check failed', { error: error.message });
-    return {
-      status: 'unhealthy',
-      error: error.message
+      message: 'Queue not configured for this function'
     };
   }
+
+  const { Attributes = {} } = await sqsClient.send(new GetQueueAttributesCommand({
+    QueueUrl: queueUrl,
+    AttributeNames: ['ApproximateNumberOfMessages', 'ApproximateNumberOfMessagesNotVisible']
+  }), { abortSignal: signal });
+
+  const messageCount = parseInt(Attributes.ApproximateNumberOfMessages || '0', 10);
+  const inFlightCount = parseInt(Attributes.ApproximateNumberOfMessagesNotVisible || '0', 10);
+  const degraded = messageCount >= threshold;
+  return {
+    status: degraded ? 'degraded' : 'healthy',
+    queueUrl,
+    messageCount,
+    inFlightCount,
+    threshold,
+    ...(degraded && { message: `${messageCount} messages waiting (threshold ${threshold})` })
+  };
 }
@@ -0,0 +1,154 @@
+import { GetCommand, PutCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { ConflictError, NotFoundError } from '../lib/errors.mjs';
+import { ApiKeyStatus, generateKey, toApiKeyResponse } from '../lib/apiKeys.mjs';
+
+const SERVICE = 'partner-service';
+
+const API_KEYS_TABLE_NAME = process.env.API_KEYS_TABLE_NAME;
+
+// Limits for keys issued without their own
+const DEFAULT_RATE_LIMIT = Object.freeze({
+  requestsPerSecond: Number(process.env.API_KEY_RATE_LIMIT_RPS || '5'),
+  burst: parseInt(process.env.API_KEY_RATE_LIMIT_BURST || '20', 10)
+});
+
+const DEFAULT_GRACE_PERIOD_SECONDS = 86400;
+
+// Tells a missing key from one whose status blocked the change
+async function explainConditionFailure(id) {
+  const { Item: apiKey } = await ddbDocClient.send(new GetCommand({
+    TableName: API_KEYS_TABLE_NAME,
+    Key: { id },
+    ConsistentRead: true
+  }));
+  if (!apiKey) {
+    return new NotFoundError(`API key ${id} was not found`);
+  }
+  return new ConflictError(`API key ${id} is ${apiKey.status.toLowerCase()}`);
+}
+
+// POST /api-keys
+export const issueHandler = httpHandler('issueApiKey', async ({ principal, body, log }) => {
+  const { id, key, keyHash } = generateKey();
+  const apiKey = {
+    id,
+    partnerId: body.partnerId,
+    name: body.name.trim(),
+    keyHash,
+    status: ApiKeyStatus.ACTIVE,
+    rateLimit: body.rateLimit ?? DEFAULT_RATE_LIMIT,
+    createdAt: new Date().toISOString(),
+    createdBy: principal.subject
+  };
+
+  await ddbDocClient.send(new PutCommand({
+    TableName: API_KEYS_TABLE_NAME,
+    Item: apiKey,
+    ConditionExpression: 'attribute_not_exists(id)'
+  }));
+
+  log('info', '🔑 API key issued', { apiKeyId: id, partnerId: apiKey.partnerId, rateLimit: apiKey.rateLimit });
+
+  return {
+    statusCode: 201,
+    body: {
+      success: true,
+      data: { ...toApiKeyResponse(apiKey), key },
+      message: 'API key issued. Store it now; it cannot be retrieved again.'
+    }
+  };
+}, { service: SERVICE });
+
+// POST /api-keys/{id}/rotate
+export const rotateHandler = httpHandler('rotateApiKey', async ({ params, body = {}, log }) => {
+  const { id } = params;
+  const { key, keyHash } = generateKey(id);
+  const now = new Date();
+  const gracePeriodSeconds = body.gracePeriodSeconds ?? DEFAULT_GRACE_PERIOD_SECONDS;
+  const previousKeyExpiresAt = new Date(now.getTime() + gracePeriodSeconds * 1000).toISOString();
+
+  let result;
+  try {
+    // The current secret becomes the previous one; an older previous secret is dropped
+    result = await ddbDocClient.send(new UpdateCommand({
+      TableName: API_KEYS_TABLE_NAME,
+      Key: { id },
+      UpdateExpression: 'SET #previousKeyHash = #keyHash, #previousKeyExpiresAt = :previousKeyExpiresAt, ' +
+        '#keyHash = :keyHash, #rotatedAt = :rotatedAt',
+      ConditionExpression: 'attribute_exists(id) AND #status = :active',
+      ExpressionAttributeNames: {
+        '#keyHash': 'keyHash',
+        '#previousKeyHash': 'previousKeyHash',
+        '#previousKeyExpiresAt': 'previousKeyExpiresAt',
+        '#rotatedAt': 'rotatedAt',
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':keyHash': keyHash,
+        ':previousKeyExpiresAt': previousKeyExpiresAt,
+        ':rotatedAt': now.toISOString(),
+        ':active': ApiKeyStatus.ACTIVE
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    throw await explainConditionFailure(id);
+  }
+
+  log('info', '🔑 API key rotated', { apiKeyId: id, partnerId: result.Attributes.partnerId, previousKeyExpiresAt });
+
+  return {
+    body: {
+      success: true,
+      data: { ...toApiKeyResponse(result.Attributes), key },
+      message: `API key rotated. The previous key works until ${previousKeyExpiresAt}.`
+    }
+  };
+}, { service: SERVICE });
+
+// POST /api-keys/{id}/revoke; revoking a revoked key changes nothing
+export const revokeHandler = httpHandler('revokeApiKey', async ({ params, log }) => {
+  const { id } = params;
+
+  let result;
+  try {
+    result = await ddbDocClient.send(new UpdateCommand({
+      TableName: API_KEYS_TABLE_NAME,
+      Key: { id },
+      UpdateExpression: 'SET #status = :revoked, #revokedAt = if_not_exists(#revokedAt, :revokedAt) ' +
+        'REMOVE #previousKeyHash, #previousKeyExpiresAt',
+      ConditionExpression: 'attribute_exists(id)',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#revokedAt': 'revokedAt',
+        '#previousKeyHash': 'previousKeyHash',
+        '#previousKeyExpiresAt': 'previousKeyExpiresAt'
+      },
+      ExpressionAttributeValues: {
+        ':revoked': ApiKeyStatus.REVOKED,
+        ':revokedAt': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    throw new NotFoundError(`API key ${id} was not found`);
+  }
+
+  log('info', '🔑 API key revoked', { apiKeyId: id, partnerId: result.Attributes.partnerId });
+
+  return {
+    body: {
+      success: true,
+      data: toApiKeyResponse(result.Attributes),
+      message: 'API key revoked'
+    }
+  };
+}, { service: SERVICE });
@@ -0,0 +1,134 @@
+import { GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { NotFoundError } from '../lib/errors.mjs';
+import { canAccessOrder } from '../lib/auth.mjs';
+import {
+  OrderStatus,
+  assertTransition,
+  isConditionFailure,
+  transitionCondition,
+  transitionErrorFromConditionFailure
+} from '../lib/orderStatus.mjs';
+import { buildOutboxPut } from '../lib/outbox.mjs';
+import {
+  VERSION_CONFLICT,
+  VERSION_INCREMENT,
+  orderVersion,
+  retryOnVersionConflict,
+  versionCondition
+} from '../lib/concurrency.mjs';
+import { hasActiveReservation, releaseStockItems, reservationReleaseUpdate } from '../lib/inventory.mjs';
+
+const TABLE_NAME = process.env.TABLE_NAME;
+
+export const handler = httpHandler('cancelOrder', async ({ principal, params, body, log }) => {
+  const orderId = params.id;
+
+  // Optional cancellation reason supplied by the caller
+  const reason = body?.reason?.trim() || null;
+  const timestamp = new Date().toISOString();
+
+  log('info', '🛑 Cancelling order', { orderId, reason });
+
+  // Read, check and write again whenever the order changes in between, so the
+  // reservation we release and the status we report are the ones we overwrote
+  const { previousStatus, release, outbox } = await retryOnVersionConflict(async attempt => {
+    const { Item: order } = await ddbDocClient.send(new GetCommand({
+      TableName: TABLE_NAME,
+      Key: { id: orderId },
+      ConsistentRead: true
+    }));
+
+    if (!order || !canAccessOrder(principal, order)) {
+      throw new NotFoundError(`Order with ID ${orderId} was not found`);
+    }
+
+    assertTransition(order, OrderStatus.CANCELLED);
+
+    const outbox = buildOutboxPut('OrderCancelled', {
+      id: orderId,
+      previousStatus: order.status,
+      reason,
+      stockReleased: hasActiveReservation(order),
+      cancelledAt: timestamp
+    }, { timestamp });
+
+    // Reserved stock goes back to inventory as part of the cancellation
+    const release = hasActiveReservation(order) ? reservationReleaseUpdate(timestamp) : null;
+
+    // Pinning the version we read makes the cancel atomic with respect to the order
+    // processor: whichever write lands first wins, the other one fails its check.
+    // The OrderCancelled outbox entry and any stock release commit in the same transaction.
+    const condition = transitionCondition(OrderStatus.CANCELLED, { from: order.status });
+    const versionCheck = versionCondition(orderVersion(order));
+    try {
+      await ddbDocClient.send(new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: TABLE_NAME,
+              Key: { id: orderId },
+              UpdateExpression: `SET #status = :cancelled, #updatedAt = :updatedAt, #cancelledAt = :updatedAt, #cancellationReason = :reason, ${VERSION_INCREMENT.UpdateExpression}${release ? `, ${release.UpdateExpression}` : ''}`,
+              ConditionExpression: `${condition.ConditionExpression} AND ${versionCheck.ConditionExpression}`,
+              ExpressionAttributeNames: {
+                ...condition.ExpressionAttributeNames,
+                ...versionCheck.ExpressionAttributeNames,
+                ...VERSION_INCREMENT.ExpressionAttributeNames,
+                ...release?.ExpressionAttributeNames,
+                '#updatedAt': 'updatedAt',
+                '#cancelledAt': 'cancelledAt',
+                '#cancellationReason': 'cancellationReason'
+              },
+              ExpressionAttributeValues: {
+                ...condition.ExpressionAttributeValues,
+                ...versionCheck.ExpressionAttributeValues,
+                ...VERSION_INCREMENT.ExpressionAttributeValues,
+                ...release?.ExpressionAttributeValues,
+                ':cancelled': OrderStatus.CANCELLED,
+                ':updatedAt': timestamp,
+                ':reason': reason
+              },
+              ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+            }
+          },
+          outbox.transactItem,
+          ...(release ? releaseStockItems(order.reservation) : [])
+        ]
+      }));
+    } catch (error) {
+      if (!isConditionFailure(error)) {
+        throw error;
+      }
+      if (!transitionErrorFromConditionFailure(error, { orderId, to: OrderStatus.CANCELLED })) {
+        throw new NotFoundError(`Order with ID ${orderId} was not found`);
+      }
+
+      // The order changed between our read and write; check it again as it is now
+      log('info', 'Order changed while cancelling, reading it again', { orderId, attempt, readStatus: order.status });
+      return VERSION_CONFLICT;
+    }
+
+    return { previousStatus: order.status, release, outbox };
+  }, { orderId });
+
+  log('info', '✅ Order cancelled and OrderCancelled event queued in outbox', {
+    orderId,
+    previousStatus,
+    stockReleased: !!release,
+    outboxEntryId: outbox.entryId
+  });
+
+  return {
+    body: {
+      success: true,
+      data: {
+        id: orderId,
+        status: OrderStatus.CANCELLED,
+        previousStatus,
+        cancelledAt: timestamp
+      },
+      message: 'Order cancelled successfully'
+    }
+  };
+});
@@ -1,270 +1,368 @@
 import { v4 as uuid } from 'uuid';
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, PutCommand } from '@aws-sdk/lib-dynamodb';
-import { SQSClient, SendMessageCommand } from '@aws-sdk/client-sqs';
-
-// Initialize AWS clients with latest v3 SDK
-const dynamoClient = new DynamoDBClient({
-  maxAttempts: 3,
-  retryMode: 'adaptive'
-});
+import { TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { HttpError, httpHandler, problemDetails } from '../lib/http.mjs';
+import { ConflictError, ValidationFailedError } from '../lib/errors.mjs';
+import { INITIAL_STATUS, isConditionFailure } from '../lib/orderStatus.mjs';
+import {
+  getIdempotencyKey,
+  isValidIdempotencyKey,
+  hashRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequestItem,
+  releaseIdempotentRequest
+} from '../lib/idempotency.mjs';
+import { buildOutboxPut } from '../lib/outbox.mjs';
+import { computeTotals } from '../lib/money.mjs';
+import { getProducts, orderSkus, priceOrderItems } from '../lib/catalog.mjs';
+import {
+  customerCreatedConcurrentlyError,
+  customerTransactItems,
+  normalizeCustomerName,
+  resolveOrderCustomer
+} from '../lib/customers.mjs';
+import { listShardFor } from '../lib/listShards.mjs';
+import { validate } from '../lib/schemaValidation.mjs';
 
-const ddbDocClient = DynamoDBDocumentClient.from(dynamoClient, {
-  marshallOptions: {
-    removeUndefinedValues: true,
-    convertClassInstanceToMap: true
-  },
-  unmarshallOptions: {
-    wrapNumbers: false
-  }
-});
+const TABLE_NAME = process.env.TABLE_NAME;
 
-const sqsClient = new SQSClient({
-  maxAttempts: 3,
-  retryMode: 'adaptive'
-});
+// Each order is written with its outbox entry and, for a new customer, the customer and its
+// name claim: at most four of the 100 items a TransactWrite allows
+const ORDERS_PER_TRANSACTION = 25;
 
-const TABLE_NAME = process.env.TABLE_NAME;
-const QUEUE_URL = process.env.QUEUE_URL;
-
-// Enhanced validation function
-function validateOrderData(body) {
-  const errors = [];
-  
-  if (!body) {
-    errors.push('Request body is required');
-    return { isValid: false, errors };
-  }
-  
-  if (!body.customerName || typeof body.customerName !== 'string' || body.customerName.trim().length === 0) {
-    errors.push('customerName is required and must be a non-empty string');
-  }
-  
-  if (!Array.isArray(body.items) || body.items.length === 0) {
-    errors.push('items must be a non-empty array');
-  } else {
-    body.items.forEach((item, index) => {
-      if (!item.sku || typeof item.sku !== 'string') {
-        errors.push(`Item ${index}: sku is required and must be a string`);
-      }
-      if (!item.qty || typeof item.qty !== 'number' || item.qty <= 0) {
-        errors.push(`Item ${index}: qty is required and must be a positive number`);
-      }
-      if (item.price !== undefined && (typeof item.price !== 'number' || item.price < 0)) {
-        errors.push(`Item ${index}: price must be a non-negative number`);
-      }
+// Position of a new customer's name claim in a single order's transaction
+const CUSTOMER_CLAIM_INDEX = 2;
+
+// Idempotency keys are scoped per operation and per caller
+const IDEMPOTENCY_SCOPE = 'POST /orders';
+
+function idempotencyScope(principal) {
+  return `${IDEMPOTENCY_SCOPE}#${principal.subject}`;
+}
+
+// Frees a claimed Idempotency-Key so the client can retry after a failure
+async function releaseIdempotencyKey(idempotencyKey, { scope, log }) {
+  try {
+    await releaseIdempotentRequest(ddbDocClient, { scope, key: idempotencyKey });
+  } catch (releaseError) {
+    log('warn', 'Failed to release Idempotency-Key', {
+      idempotencyKey,
+      error: releaseError.message
     });
   }
-  
+}
+
+/**
+ * Prices an order and builds it with its OrderCreated outbox entry, ready to
+ * be written. `resolveCustomer(orderData)` resolves its customer once pricing
+ * succeeded (see resolveOrderCustomer()); a new one comes back as
+ * `newCustomer`, to be written in the same transaction as the order.
+ * `products` optionally holds the catalog entries of its SKUs, already fetched.
+ */
+async function buildOrder(orderData, { ownerId, partnerId, resolveCustomer, products }) {
+  // Prices are snapshotted from the catalog; client-supplied prices are never trusted
+  const priced = await priceOrderItems(ddbDocClient, orderData.items, { currency: orderData.currency, products });
+
+  // The customer's own name is used, so "ACME Inc" and "Acme" orders read the same
+  const { customer, isNew } = await resolveCustomer(orderData);
+
+  // Generate order ID and create order object
+  const orderId = uuid();
+  const timestamp = new Date().toISOString();
+
+  // Totals are computed once here, in minor units, and stored with the order
+  const { items, totals } = computeTotals(priced.items, { currency: priced.currency });
+
+  const order = {
+    id: orderId,
+    ownerId,
+    partnerId,
+    customerId: customer.id,
+    customerName: customer.name,
+    items,
+    skus: orderSkus(items),
+    totals,
+    status: INITIAL_STATUS,
+    version: 1,
+    // Places the order in the time-ordered CreatedAtIndex
+    listShard: listShardFor(orderId),
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  // The OrderCreated event goes through the outbox so it is written with the order
+  const outbox = buildOutboxPut('OrderCreated', {
+    id: orderId,
+    ownerId,
+    partnerId,
+    customerId: customer.id,
+    customerName: order.customerName,
+    items: order.items,
+    totals,
+    createdAt: timestamp
+  }, { timestamp });
+
+  return { order, outbox, newCustomer: isNew ? customer : null };
+}
+
+// The order and its outbox entry, as TransactWrite items
+function orderTransactItems({ order, outbox }) {
+  return [
+    {
+      Put: {
+        TableName: TABLE_NAME,
+        Item: order,
+        ConditionExpression: 'attribute_not_exists(id)'
+      }
+    },
+    outbox.transactItem
+  ];
+}
+
+/**
+ * TransactWrite items for `entries` (built orders) and the new customers they
+ * name that are not in `createdCustomers` yet, each customer once. Returns
+ * the items and those customers, so the caller can add them to
+ * `createdCustomers` once the write succeeded.
+ */
+function writeItems(entries, createdCustomers = new Set()) {
+  const customers = new Map();
+  entries.forEach(({ newCustomer }) => {
+    if (newCustomer && !createdCustomers.has(newCustomer.id)) {
+      customers.set(newCustomer.id, newCustomer);
+    }
+  });
   return {
-    isValid: errors.length === 0,
-    errors
+    transactItems: [...entries.flatMap(orderTransactItems), ...[...customers.values()].flatMap(customerTransactItems)],
+    customers: [...customers.values()]
   };
 }
 
-// Utility function for structured logging
-const log = (level, message, extra = {}) => {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    level: level.toUpperCase(),
-    service: 'order-service',
-    function: 'createOrder',
-    message,
-    ...extra
+// What clients are told about a new order
+function toOrderCreated(order) {
+  return {
+    id: order.id,
+    status: order.status,
+    totals: order.totals,
+    createdAt: order.createdAt
   };
-  console.log(JSON.stringify(logEntry));
-};
-
-export const handler = async (event) => {
-  const requestId = event.requestContext?.requestId || 'unknown';
-  console.log("This is for demo purpose")
-  log('info', 'Processing create order request', {
-    requestId,
-    httpMethod: event.httpMethod,
-    path: event.path
+}
+
+// Prices the order, then writes it with its outbox entry, new customer and idempotency record
+async function createOrder(orderData, { principal, ownerId, partnerId, idempotencyKey, scope, log }) {
+  const { order, outbox, newCustomer } = await buildOrder(orderData, {
+    ownerId,
+    partnerId,
+    resolveCustomer: data => resolveOrderCustomer(ddbDocClient, data, { principal, ownerId })
+  });
+  const { id: orderId, totals, customerId } = order;
+
+  // Serialized up front so an Idempotency-Key can store it atomically
+  const response = {
+    statusCode: 201,
+    body: JSON.stringify({
+      success: true,
+      data: toOrderCreated(order),
+      message: 'Order created successfully'
+    })
+  };
+
+  const { transactItems } = writeItems([{ order, outbox, newCustomer }]);
+  if (idempotencyKey) {
+    transactItems.push(completeIdempotentRequestItem({
+      scope,
+      key: idempotencyKey,
+      response
+    }));
+  }
+
+  log('info', 'Creating order and OrderCreated outbox entry in database', {
+    orderId,
+    outboxEntryId: outbox.entryId,
+    partnerId,
+    customerId,
+    customerName: order.customerName,
+    newCustomer: !!newCustomer,
+    itemCount: order.items.length,
+    currency: totals.currency,
+    total: totals.total
   });
-  
+
+  // Order, outbox entry, new customer and idempotency record commit together or not at all
   try {
-    // Parse and validate request body
-    let orderData;
-    try {
-      orderData = JSON.parse(event.body || '{}');
-    } catch (parseError) {
-      log('warn', 'Invalid JSON in request body', { requestId, error: parseError.message });
-      return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          error: 'Invalid JSON format',
-          message: 'Request body must be valid JSON'
-        })
-      };
+    await ddbDocClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+  } catch (error) {
+    if (newCustomer && isConditionFailure(error, { transactIndex: CUSTOMER_CLAIM_INDEX })) {
+      throw customerCreatedConcurrentlyError(newCustomer, error);
     }
-    
-    // Validate order data
-    const validation = validateOrderData(orderData);
-    if (!validation.isValid) {
-      log('warn', 'Order validation failed', {
-        requestId,
-        errors: validation.errors,
-        orderData: { ...orderData, items: orderData.items?.length || 0 }
+    throw error;
+  }
+
+  log('info', '✅ Order created successfully in database', {
+    orderId,
+    outboxEntryId: outbox.entryId
+  });
+
+  return response;
+}
+
+// The body has been validated against CreateOrderRequest
+export const handler = httpHandler('createOrder', async ({ principal, body: orderData, headers, log }) => {
+  // Honor Idempotency-Key so client retries don't create duplicate orders
+  const idempotencyKey = getIdempotencyKey(headers);
+  const scope = idempotencyScope(principal);
+  if (idempotencyKey !== undefined) {
+    if (!isValidIdempotencyKey(idempotencyKey)) {
+      throw new HttpError(400, 'Bad Request', 'Idempotency-Key must be 1-255 printable ASCII characters');
+    }
+
+    const { replay } = await beginIdempotentRequest(ddbDocClient, {
+      scope,
+      key: idempotencyKey,
+      requestHash: hashRequest(orderData)
+    });
+
+    if (replay) {
+      log('info', '🔁 Replaying response for repeated Idempotency-Key', {
+        idempotencyKey,
+        statusCode: replay.statusCode
       });
       return {
-        statusCode: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          error: 'Validation failed',
-          message: validation.errors.join(', ')
-        })
+        statusCode: replay.statusCode,
+        headers: { 'Idempotent-Replayed': 'true' },
+        body: replay.body
       };
     }
-    
-    // Generate order ID and create order object
-    const orderId = uuid();
-    const timestamp = new Date().toISOString();
-    const order = {
-      id: orderId,
-      customerName: orderData.customerName.trim(),
-      items: orderData.items.map(item => ({
-        sku: item.sku,
-        qty: item.qty,
-        price: item.price || 0
-      })),
-      status: 'PENDING',
-      createdAt: timestamp,
-      updatedAt: timestamp
-    };
-    
-    log('info', 'Creating order in database', {
-      requestId,
-      orderId,
-      customerName: order.customerName,
-      itemCount: order.items.length
-    });
-    
-    // Store order in DynamoDB with conditional write
-    await ddbDocClient.send(new PutCommand({
-      TableName: TABLE_NAME,
-      Item: order,
-      ConditionExpression: 'attribute_not_exists(id)'
-    }));
-    
-    log('info', 'Order created successfully in database', {
-      requestId,
-      orderId
-    });
-    
-    // Send event to SQS for async processing
-    log('debug', '📨 Preparing to send SQS message', {
-      requestId,
-      orderId,
-      queueUrl: QUEUE_URL,
-      eventType: 'OrderCreated'
+  }
+
+  try {
+    // The caller owns the order; only they and admins can see it. Partner keys also tag it with the partner.
+    return await createOrder(orderData, {
+      principal,
+      ownerId: principal.subject,
+      partnerId: principal.partnerId,
+      idempotencyKey,
+      scope,
+      log
     });
+  } catch (error) {
+    // This request owns the key; free it so the client can retry
+    if (idempotencyKey) {
+      await releaseIdempotencyKey(idempotencyKey, { scope, log });
+    }
 
-    const eventMessage = {
-      type: 'OrderCreated',
-      timestamp,
-      detail: {
-        id: orderId,
-        customerName: order.customerName,
-        items: order.items,
-        createdAt: timestamp
-      }
-    };
-    
-    log('debug', '📨 Sending message to SQS queue', {
-      requestId,
-      orderId,
-      messageSize: JSON.stringify(eventMessage).length,
-      queueUrl: QUEUE_URL
+    // The order Put is the first item of the transaction
+    if (isConditionFailure(error, { transactIndex: 0 })) {
+      throw new ConflictError('Order with this ID already exists');
+    }
+    throw error;
+  }
+});
+
+// Orders in one batch naming the same customer share a single lookup (and new customer)
+function batchCustomerResolver(principal, ownerId) {
+  const customers = new Map();
+  return orderData => {
+    const key = orderData.customerId ? `id#${orderData.customerId}` : `name#${normalizeCustomerName(orderData.customerName)}`;
+    if (!customers.has(key)) {
+      customers.set(key, resolveOrderCustomer(ddbDocClient, orderData, { principal, ownerId }));
+    }
+    return customers.get(key);
+  };
+}
+
+// A failed batch entry carries the problem details the order would have got on its own
+function batchFailure(index, error, requestId) {
+  const problem = problemDetails(error, { instance: requestId });
+  return { index, status: problem.status, problem };
+}
+
+// POST /orders:batch; every order is checked on its own, so one bad order fails only itself
+export const batchHandler = httpHandler('createOrderBatch', async ({ principal, body, requestId, log }) => {
+  const ownerId = principal.subject;
+  const partnerId = principal.partnerId;
+  const results = [];
+
+  const candidates = [];
+  body.orders.forEach((orderData, index) => {
+    const errors = validate('CreateOrderRequest', orderData);
+    if (errors.length > 0) {
+      results[index] = batchFailure(index, new ValidationFailedError(errors), requestId);
+    } else {
+      candidates.push({ index, orderData });
+    }
+  });
+
+  // One catalog lookup prices every order in the batch
+  const products = await getProducts(ddbDocClient, candidates.flatMap(({ orderData }) => orderData.items.map(item => item.sku)));
+  const resolveCustomer = batchCustomerResolver(principal, ownerId);
+
+  const prepared = [];
+  for (const { index, orderData } of candidates) {
+    try {
+      prepared.push({ index, ...await buildOrder(orderData, { ownerId, partnerId, resolveCustomer, products }) });
+    } catch (error) {
+      results[index] = batchFailure(index, error, requestId);
+    }
+  }
+
+  // A new customer is written with the first of its orders to be written
+  const createdCustomers = new Set();
+  const write = async entries => {
+    const { transactItems, customers } = writeItems(entries, createdCustomers);
+    await ddbDocClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+    customers.forEach(customer => createdCustomers.add(customer.id));
+    entries.forEach(({ index, order }) => {
+      results[index] = { index, status: 201, data: toOrderCreated(order) };
     });
+  };
 
-    const sqsResult = await sqsClient.send(new SendMessageCommand({
-      QueueUrl: QUEUE_URL,
-      MessageBody: JSON.stringify(eventMessage),
-      MessageAttributes: {
-        eventType: { DataType: 'String', StringValue: 'OrderCreated' },
-        orderId: { DataType: 'String', StringValue: orderId },
-        timestamp: { DataType: 'String', StringValue: timestamp }
+  // Each group is written atomically with its outbox entries and new customers
+  for (let start = 0; start < prepared.length; start += ORDERS_PER_TRANSACTION) {
+    const group = prepared.slice(start, start + ORDERS_PER_TRANSACTION);
+    try {
+      await write(group);
+    } catch (error) {
+      // One throttled or conflicting write cancels the whole group; writing its
+      // orders one by one keeps a failure with the order that caused it
+      log('warn', 'Failed to write a group of batch orders, writing them one by one', {
+        orderIds: group.map(({ order }) => order.id),
+        error: error.message,
+        errorCode: error.name
+      });
+      for (const entry of group) {
+        const claimsCustomer = !!entry.newCustomer && !createdCustomers.has(entry.newCustomer.id);
+        try {
+          await write([entry]);
+        } catch (orderError) {
+          log('error', 'Failed to write batch order', {
+            orderId: entry.order.id,
+            error: orderError.message,
+            errorCode: orderError.name
+          });
+          const failure = claimsCustomer && isConditionFailure(orderError, { transactIndex: CUSTOMER_CLAIM_INDEX })
+            ? customerCreatedConcurrentlyError(entry.newCustomer, orderError)
+            : orderError;
+          results[entry.index] = batchFailure(entry.index, failure, requestId);
+        }
       }
-    }));
-    
-    log('info', '✅ Order event sent to queue successfully', {
-      requestId,
-      orderId,
-      queueUrl: QUEUE_URL,
-      messageId: sqsResult.MessageId,
-      md5OfBody: sqsResult.MD5OfBody
-    });
-    
-    // Return success response
-    const response = {
-      statusCode: 201,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        success: true,
-        data: {
-          id: orderId,
-          status: 'PENDING',
-          createdAt: timestamp
-        },
-        message: 'Order created successfully'
-      })
-    };
-    
-    log('info', 'Create order request completed successfully', {
-      requestId,
-      orderId,
-      statusCode: response.statusCode
-    });
-    
-    return response;
-    
-  } catch (error) {
-    log('error', 'Unexpected error processing create order request', {
-      requestId,
-      error: error.message,
-      stack: error.stack,
-      errorCode: error.code
-    });
-    
-    // Handle specific AWS errors
-    if (error.code === 'ConditionalCheckFailedException') {
-      return {
-        statusCode: 409,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*'
-        },
-        body: JSON.stringify({
-          error: 'Conflict',
-          message: 'Order with this ID already exists'
-        })
-      };
     }
-    
-    // Generic error response
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
-      },
-      body: JSON.stringify({
-        error: 'Internal Server Error',
-        message: 'An unexpected error occurred while processing your request',
-        requestId
-      })
-    };
   }
-};
+
+  const created = results.filter(result => result.status === 201).length;
+  const summary = { total: results.length, created, failed: results.length - created };
+
+  log(summary.failed ? 'warn' : 'info', '📦 Order batch processed', {
+    ...summary,
+    partnerId,
+    failures: results.filter(result => result.status !== 201).map(({ index, status }) => ({ index, status }))
+  });
+
+  return {
+    body: {
+      success: true,
+      data: { results, summary },
+      message: `${created} of ${results.length} orders created`
+    }
+  };
+});
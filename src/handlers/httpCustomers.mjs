@@ -0,0 +1,156 @@
+import { QueryCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { NotFoundError } from '../lib/errors.mjs';
+import { canAccessCustomer } from '../lib/auth.mjs';
+import { createCustomer, getCustomer } from '../lib/customers.mjs';
+import { orderTotals, toMajorUnits } from '../lib/money.mjs';
+import { decodePageToken, encodePageToken } from '../lib/pageTokens.mjs';
+
+const SERVICE = 'customer-service';
+
+const CUSTOMERS_TABLE_NAME = process.env.CUSTOMERS_TABLE_NAME;
+const TABLE_NAME = process.env.TABLE_NAME;
+
+function parseLimit(query, fallback) {
+  return Math.min(Math.max(parseInt(query.limit, 10) || fallback, 1), 100);
+}
+
+// Stored customers without attributes only the API uses
+function toCustomerResponse({ createdBy: _createdBy, ...customer }) {
+  return customer;
+}
+
+// POST /customers
+export const createHandler = httpHandler('createCustomer', async ({ principal, body, log }) => {
+  // Throws DuplicateCustomerError (409) when the caller already has a customer with this name
+  const customer = await createCustomer(ddbDocClient, body, { createdBy: principal.subject });
+
+  log('info', '👤 Customer created', { customerId: customer.id, normalizedName: customer.normalizedName });
+
+  return {
+    statusCode: 201,
+    body: {
+      success: true,
+      data: toCustomerResponse(customer),
+      message: 'Customer created successfully'
+    }
+  };
+}, { service: SERVICE });
+
+// GET /customers; a Scan, so customers come in no particular order
+export const listHandler = httpHandler('listCustomers', async ({ principal, query, log }) => {
+  const limit = parseLimit(query, 20);
+  const tokenScope = { operation: 'listCustomers', subject: principal.subject };
+
+  // Name claims share the table; only customers have a normalizedName
+  const result = await ddbDocClient.send(new ScanCommand({
+    TableName: CUSTOMERS_TABLE_NAME,
+    Limit: limit,
+    FilterExpression: 'attribute_exists(#normalizedName)',
+    ExpressionAttributeNames: { '#normalizedName': 'normalizedName' },
+    ExclusiveStartKey: decodePageToken(query.nextToken, tokenScope)
+  }));
+
+  const customers = (result.Items || []).map(toCustomerResponse);
+  const nextToken = encodePageToken(result.LastEvaluatedKey, tokenScope);
+
+  log('info', 'Customers listed successfully', { customerCount: customers.length });
+
+  return {
+    body: {
+      success: true,
+      data: {
+        customers,
+        pagination: {
+          limit,
+          count: customers.length,
+          hasMore: !!nextToken,
+          nextToken
+        }
+      }
+    }
+  };
+}, { service: SERVICE });
+
+// GET /customers/{id}; customers the caller may not read are reported as missing
+export const getHandler = httpHandler('getCustomer', async ({ principal, params }) => {
+  const customer = await getCustomer(ddbDocClient, params.id);
+  if (!customer || !canAccessCustomer(principal, customer)) {
+    throw new NotFoundError(`Customer with ID ${params.id} was not found`);
+  }
+
+  return {
+    body: {
+      success: true,
+      data: toCustomerResponse(customer)
+    }
+  };
+}, { service: SERVICE });
+
+// GET /customers/{id}/orders, through the CustomerIndex GSI. Orders are only placed
+// on customers their owner (or an admin) may read, so all of a readable customer's are shown.
+export const ordersHandler = httpHandler('listCustomerOrders', async ({ principal, params, query, log }) => {
+  const customerId = params.id;
+  const limit = parseLimit(query, 10);
+  const sortOrder = query.sortOrder?.toLowerCase() === 'asc' ? 'asc' : 'desc';
+  const tokenScope = { operation: 'listCustomerOrders', subject: principal.subject, filters: { customerId, sortOrder } };
+
+  const customer = await getCustomer(ddbDocClient, customerId);
+  if (!customer || !canAccessCustomer(principal, customer)) {
+    throw new NotFoundError(`Customer with ID ${customerId} was not found`);
+  }
+
+  const queryParams = {
+    TableName: TABLE_NAME,
+    IndexName: 'CustomerIndex',
+    KeyConditionExpression: '#customerId = :customerId',
+    ExpressionAttributeNames: { '#customerId': 'customerId' },
+    ExpressionAttributeValues: { ':customerId': customerId },
+    Limit: limit,
+    ScanIndexForward: sortOrder === 'asc',
+    ExclusiveStartKey: decodePageToken(query.nextToken, tokenScope)
+  };
+
+  const result = await ddbDocClient.send(new QueryCommand(queryParams));
+
+  // Totals are stored on each order; orderTotal is kept for older clients
+  const orders = (result.Items || []).map(order => {
+    const totals = orderTotals(order);
+    return {
+      ...order,
+      totals,
+      itemCount: order.items?.length || 0,
+      orderTotal: toMajorUnits(totals.total, totals.currency)
+    };
+  });
+  const nextToken = encodePageToken(result.LastEvaluatedKey, tokenScope);
+
+  log('info', 'Customer orders listed successfully', {
+    customerId,
+    orderCount: orders.length,
+    hasMoreResults: !!nextToken
+  });
+
+  return {
+    headers: {
+      'Cache-Control': 'no-cache'
+    },
+    body: {
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          limit,
+          count: orders.length,
+          hasMore: !!nextToken,
+          nextToken
+        },
+        filters: {
+          customerId,
+          sortOrder
+        }
+      }
+    }
+  };
+}, { service: SERVICE });
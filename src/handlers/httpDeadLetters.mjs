@@ -0,0 +1,181 @@
+import { ddbDocClient, sqsClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { listAuditEntries, withAudit } from '../lib/audit.mjs';
+import { decodePageToken, encodePageToken } from '../lib/pageTokens.mjs';
+import {
+  DeadLetterOutcome,
+  actOnDeadLetters,
+  deadLetterCount,
+  deleteDeadLetters,
+  getMessageFailures,
+  receiveDeadLetters,
+  redriveDeadLetters,
+  releaseDeadLetters,
+  startDeadLetterRedrive,
+  toDeadLetterResponse
+} from '../lib/deadLetters.mjs';
+
+const SERVICE = 'dead-letter-admin';
+
+// Audit entries of these endpoints are kept under one resource
+const AUDIT_RESOURCE = 'dlq:order-events';
+
+function parseLimit(query, fallback) {
+  return Math.min(Math.max(parseInt(query.limit, 10) || fallback, 1), 100);
+}
+
+function summarize(results) {
+  const count = status => results.filter(result => result.status === status).length;
+  const notFound = count(DeadLetterOutcome.NOT_FOUND);
+  const failed = count(DeadLetterOutcome.FAILED);
+  return { requested: results.length, succeeded: results.length - notFound - failed, failed, notFound };
+}
+
+// Message IDs by outcome, as recorded in the audit log
+function auditOutcome(results) {
+  const outcome = { summary: summarize(results) };
+  results.forEach(({ messageId, status }) => {
+    outcome[status] = [...(outcome[status] || []), messageId];
+  });
+  return outcome;
+}
+
+// GET /dlq/messages
+export const listHandler = httpHandler('listDeadLetters', async ({ principal, query, requestId, log }) => {
+  const limit = parseLimit(query, 25);
+
+  const { auditId, outcome } = await withAudit(ddbDocClient, {
+    resource: AUDIT_RESOURCE,
+    action: 'LIST',
+    principal,
+    requestId,
+    request: { limit }
+  }, async () => {
+    const received = await receiveDeadLetters(sqsClient, { maxMessages: limit });
+    try {
+      const failures = await getMessageFailures(ddbDocClient, received.map(message => message.MessageId));
+      return {
+        messages: received.map(message => toDeadLetterResponse(message, failures.get(message.MessageId))),
+        approximateCount: await deadLetterCount(sqsClient)
+      };
+    } finally {
+      await releaseDeadLetters(sqsClient, received);
+    }
+  }, {
+    log,
+    outcomeOf: ({ messages, approximateCount }) => ({ messageIds: messages.map(message => message.messageId), approximateCount })
+  });
+
+  log('info', '🪦 Dead letters listed', { auditId, count: outcome.messages.length, approximateCount: outcome.approximateCount });
+
+  return {
+    headers: {
+      'Cache-Control': 'no-store'
+    },
+    body: {
+      success: true,
+      data: {
+        messages: outcome.messages,
+        count: outcome.messages.length,
+        approximateCount: outcome.approximateCount,
+        auditId
+      }
+    }
+  };
+}, { service: SERVICE });
+
+// POST /dlq/redrive: selected messages, or all of them through an SQS move task
+export const redriveHandler = httpHandler('redriveDeadLetters', async ({ principal, body, requestId, log }) => {
+  const audit = {
+    resource: AUDIT_RESOURCE,
+    action: 'REDRIVE',
+    principal,
+    requestId,
+    request: body.all ? { all: true } : { messageIds: body.messageIds }
+  };
+
+  if (body.all) {
+    const { auditId, outcome } = await withAudit(ddbDocClient, audit, async () => {
+      const approximateCount = await deadLetterCount(sqsClient);
+      return { taskHandle: await startDeadLetterRedrive(sqsClient), approximateCount };
+    }, { log });
+
+    log('info', '🪦 Dead letter redrive started', { auditId, ...outcome });
+
+    return {
+      statusCode: 202,
+      body: {
+        success: true,
+        data: { ...outcome, auditId },
+        message: `Moving about ${outcome.approximateCount} messages back to the order events queue`
+      }
+    };
+  }
+
+  const { auditId, outcome: results } = await withAudit(ddbDocClient, audit,
+    () => actOnDeadLetters(sqsClient, body.messageIds, messages => redriveDeadLetters(sqsClient, messages)),
+    { log, outcomeOf: auditOutcome });
+  const summary = summarize(results);
+
+  log(summary.failed || summary.notFound ? 'warn' : 'info', '🪦 Dead letters redriven', { auditId, ...summary });
+
+  return {
+    body: {
+      success: true,
+      data: { results, summary, auditId },
+      message: `${summary.succeeded} of ${summary.requested} messages redriven`
+    }
+  };
+}, { service: SERVICE });
+
+// POST /dlq/purge
+export const purgeHandler = httpHandler('purgeDeadLetters', async ({ principal, body, requestId, log }) => {
+  const { auditId, outcome: results } = await withAudit(ddbDocClient, {
+    resource: AUDIT_RESOURCE,
+    action: 'PURGE',
+    principal,
+    requestId,
+    request: { messageIds: body.messageIds }
+  }, () => actOnDeadLetters(sqsClient, body.messageIds, messages => deleteDeadLetters(sqsClient, messages)),
+  { log, outcomeOf: auditOutcome });
+  const summary = summarize(results);
+
+  log(summary.failed || summary.notFound ? 'warn' : 'info', '🪦 Dead letters purged', { auditId, ...summary });
+
+  return {
+    body: {
+      success: true,
+      data: { results, summary, auditId },
+      message: `${summary.succeeded} of ${summary.requested} messages purged`
+    }
+  };
+}, { service: SERVICE });
+
+// GET /dlq/audit
+export const auditHandler = httpHandler('listDeadLetterAudit', async ({ principal, query, log }) => {
+  const limit = parseLimit(query, 25);
+  const tokenScope = { operation: 'listDeadLetterAudit', subject: principal.subject };
+
+  const { entries, lastEvaluatedKey } = await listAuditEntries(ddbDocClient, AUDIT_RESOURCE, {
+    limit,
+    startKey: decodePageToken(query.nextToken, tokenScope)
+  });
+  const nextToken = encodePageToken(lastEvaluatedKey, tokenScope);
+
+  log('info', 'Dead letter audit listed', { entryCount: entries.length });
+
+  return {
+    body: {
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          limit,
+          count: entries.length,
+          hasMore: !!nextToken,
+          nextToken
+        }
+      }
+    }
+  };
+}, { service: SERVICE });
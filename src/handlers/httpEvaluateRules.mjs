@@ -0,0 +1,96 @@
+import { GetCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { NotFoundError, ValidationFailedError } from '../lib/errors.mjs';
+import { evaluateRules, loadRules, validateRules } from '../lib/rulesEngine.mjs';
+import { DEFAULT_CURRENCY, computeTotals, toMinorUnits } from '../lib/money.mjs';
+
+const TABLE_NAME = process.env.TABLE_NAME;
+
+// Sample prices are in major units; the schema cannot check them against the currency
+function validateSamplePrices(order) {
+  const currency = order.currency ?? DEFAULT_CURRENCY;
+  return order.items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => toMinorUnits(item.price, currency) === null)
+    .map(({ index }) => ({
+      pointer: `/order/items/${index}/price`,
+      message: `order.items[${index}].price has more decimal places than ${currency} allows`
+    }));
+}
+
+// Stored order shape for a sample, priced the same way order creation does
+function toSampleOrder(order) {
+  const currency = order.currency ?? DEFAULT_CURRENCY;
+  const { items, totals } = computeTotals(order.items.map(item => ({
+    sku: item.sku,
+    qty: item.qty,
+    unitPrice: toMinorUnits(item.price, currency)
+  })), { currency });
+
+  return { customerName: order.customerName || '', items, totals };
+}
+
+// validateRules() reports paths such as rules[0].when.total; point at them in the body
+function toRuleFieldError(message) {
+  const [path] = message.split(' ');
+  return { pointer: `/${path.replace(/\[(\d+)\]/g, '.$1').split('.').join('/')}`, message };
+}
+
+// POST /rules/evaluate: dry-run the review rules against a sample or stored order;
+// RulesEvaluationRequest guarantees the body names exactly one of them
+export const handler = httpHandler('evaluateRules', async ({ body, log }) => {
+  // Proposed rules can be tried without deploying them
+  let rules;
+  let rulesSource;
+  if (body.rules !== undefined) {
+    const errors = validateRules(body.rules);
+    if (errors.length > 0) {
+      log('warn', 'Proposed rules are invalid', { errors });
+      throw new ValidationFailedError(errors.map(toRuleFieldError));
+    }
+    rules = body.rules;
+    rulesSource = 'request';
+  } else {
+    ({ rules, source: rulesSource } = await loadRules(ddbDocClient));
+  }
+
+  let order;
+  if (body.orderId !== undefined) {
+    ({ Item: order } = await ddbDocClient.send(new GetCommand({
+      TableName: TABLE_NAME,
+      Key: { id: body.orderId }
+    })));
+    if (!order) {
+      throw new NotFoundError(`Order with ID ${body.orderId} was not found`);
+    }
+  } else {
+    const errors = validateSamplePrices(body.order);
+    if (errors.length > 0) {
+      log('warn', 'Sample order validation failed', { errors });
+      throw new ValidationFailedError(errors);
+    }
+    order = toSampleOrder(body.order);
+  }
+
+  const result = evaluateRules(rules, order);
+
+  log('info', '🧪 Rules evaluated (dry run)', {
+    rulesSource,
+    orderId: body.orderId,
+    newStatus: result.newStatus,
+    matchedRules: result.matchedRules.map(rule => rule.id)
+  });
+
+  return {
+    body: {
+      success: true,
+      data: {
+        ...result,
+        rulesSource,
+        rulesEvaluated: rules.filter(rule => rule.enabled !== false).length,
+        totals: order.totals
+      }
+    }
+  };
+});
@@ -0,0 +1,74 @@
+import { v4 as uuid } from 'uuid';
+import { ddbDocClient, s3Client } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { ValidationFailedError } from '../lib/errors.mjs';
+import { listingFilters, parseListQuery, planOrderListing } from '../lib/orderListing.mjs';
+import { EXPORT_FORMATS, exportOrders } from '../lib/orderExport.mjs';
+
+const EXPORT_BUCKET_NAME = process.env.EXPORT_BUCKET_NAME;
+
+// Lambda responses are capped at 6 MB; larger exports go to S3
+const INLINE_MAX_BYTES = parseInt(process.env.EXPORT_INLINE_MAX_BYTES || String(4 * 1024 * 1024), 10);
+const URL_TTL_SECONDS = parseInt(process.env.EXPORT_URL_TTL_SECONDS || '900', 10);
+
+// GET /orders/export; takes the same filters as GET /orders and returns every matching order
+export const handler = httpHandler('exportOrders', async ({ principal, query, log }) => {
+  const format = (query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ValidationFailedError({ parameter: 'format', message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const queryParams = parseListQuery(query);
+  const plan = planOrderListing(principal, queryParams);
+  const filters = listingFilters(queryParams);
+
+  const exportedAt = new Date().toISOString();
+  const filename = `orders-${exportedAt.replace(/[:.]/g, '-')}.${format}`;
+
+  log('info', 'Exporting orders', { format, indexName: plan.indexName, filters });
+
+  const result = await exportOrders({ ddbDocClient, s3Client }, plan, {
+    format,
+    bucket: EXPORT_BUCKET_NAME,
+    key: `exports/${exportedAt.slice(0, 10)}/${uuid()}/${filename}`,
+    filename,
+    inlineMaxBytes: INLINE_MAX_BYTES,
+    urlExpiresInSeconds: URL_TTL_SECONDS
+  });
+
+  log('info', '📤 Orders exported', {
+    format,
+    orderCount: result.orderCount,
+    bytes: result.bytes,
+    delivery: result.url ? 's3' : 'inline'
+  });
+
+  if (!result.url) {
+    return {
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+      },
+      body: result.body
+    };
+  }
+
+  return {
+    headers: {
+      'Cache-Control': 'no-store'
+    },
+    body: {
+      success: true,
+      data: {
+        format,
+        url: result.url,
+        expiresAt: result.expiresAt,
+        orderCount: result.orderCount,
+        bytes: result.bytes,
+        filters
+      },
+      message: 'The export is too large to return directly; download it from url before it expires'
+    }
+  };
+});
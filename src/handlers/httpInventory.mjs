@@ -0,0 +1,84 @@
+import { GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { ConflictError } from '../lib/errors.mjs';
+
+const SERVICE = 'inventory-service';
+
+const INVENTORY_TABLE_NAME = process.env.INVENTORY_TABLE_NAME;
+
+// GET /inventory/{sku}
+export const getHandler = httpHandler('getInventory', async ({ params }) => {
+  const { sku } = params;
+
+  const { Item: stock } = await ddbDocClient.send(new GetCommand({
+    TableName: INVENTORY_TABLE_NAME,
+    Key: { sku }
+  }));
+
+  // A SKU that was never stocked simply has nothing available
+  return {
+    body: {
+      success: true,
+      data: stock || { sku, available: 0, reserved: 0, backorderable: false }
+    }
+  };
+}, { service: SERVICE });
+
+// POST /inventory/{sku}/adjustments
+export const adjustHandler = httpHandler('adjustInventory', async ({ params, body: adjustment, log }) => {
+  const { sku } = params;
+
+  // `delta` is a non-zero integer added to the available count
+  const { delta, backorderable } = adjustment;
+
+  // Adjustments are relative so they never overwrite concurrent reservations
+  const assignments = ['#updatedAt = :updatedAt', '#reserved = if_not_exists(#reserved, :zero)'];
+  const names = { '#available': 'available', '#reserved': 'reserved', '#updatedAt': 'updatedAt' };
+  const values = { ':delta': delta, ':zero': 0, ':updatedAt': new Date().toISOString() };
+  if (backorderable !== undefined) {
+    assignments.push('#backorderable = :backorderable');
+    names['#backorderable'] = 'backorderable';
+    values[':backorderable'] = backorderable;
+  }
+
+  const updateParams = {
+    TableName: INVENTORY_TABLE_NAME,
+    Key: { sku },
+    UpdateExpression: `SET ${assignments.join(', ')} ADD #available :delta`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values,
+    ReturnValues: 'ALL_NEW'
+  };
+
+  // Stock can only be removed if it is actually available
+  if (delta < 0) {
+    updateParams.ConditionExpression = '#available >= :removed';
+    updateParams.ExpressionAttributeValues[':removed'] = -delta;
+  }
+
+  let result;
+  try {
+    result = await ddbDocClient.send(new UpdateCommand(updateParams));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    throw new ConflictError(`Cannot remove ${-delta} units of ${sku}: not enough available stock`);
+  }
+
+  log('info', '📦 Inventory adjusted', {
+    sku,
+    delta,
+    available: result.Attributes.available,
+    reserved: result.Attributes.reserved
+  });
+
+  return {
+    body: {
+      success: true,
+      data: result.Attributes,
+      message: 'Inventory adjusted successfully'
+    }
+  };
+}, { service: SERVICE });
@@ -0,0 +1,17 @@
+import { httpHandler } from '../lib/http.mjs';
+import { buildOpenApiDocument } from '../lib/openapi.mjs';
+
+// GET /openapi.json: the API contract, generated from the schemas requests are validated against
+export const handler = httpHandler('getOpenApiDocument', async ({ event, log }) => {
+  const domainName = event.requestContext?.domainName;
+  const document = buildOpenApiDocument({ serverUrl: domainName && `https://${domainName}` });
+
+  log('info', '📘 OpenAPI document generated', { pathCount: Object.keys(document.paths).length });
+
+  return {
+    headers: {
+      'Cache-Control': 'public, max-age=300'
+    },
+    body: document
+  };
+}, { service: 'api-docs' });
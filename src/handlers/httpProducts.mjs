@@ -0,0 +1,209 @@
+import { GetCommand, PutCommand, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { ConflictError, NotFoundError, ValidationFailedError } from '../lib/errors.mjs';
+import { DEFAULT_CURRENCY, toMajorUnits, toMinorUnits } from '../lib/money.mjs';
+import { decodePageToken, encodePageToken } from '../lib/pageTokens.mjs';
+
+const SERVICE = 'catalog-service';
+
+const PRODUCTS_TABLE_NAME = process.env.PRODUCTS_TABLE_NAME;
+
+// Checks the schema cannot express; `price` is in major units of `currency`
+function validateProductData(body, { sku }) {
+  const errors = [];
+
+  if (body.sku !== undefined && body.sku !== sku) {
+    errors.push({ pointer: '/sku', message: 'sku in the body must match the path' });
+  }
+
+  const currency = body.currency ?? DEFAULT_CURRENCY;
+  if (toMinorUnits(body.price, currency) === null) {
+    errors.push({ pointer: '/price', message: `price has more decimal places than ${currency} allows` });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+// Stored shape of a validated product payload
+function toProduct(sku, body) {
+  const currency = body.currency ?? DEFAULT_CURRENCY;
+  return {
+    sku,
+    name: body.name.trim(),
+    description: body.description,
+    unitPrice: toMinorUnits(body.price, currency),
+    currency,
+    active: body.active ?? true
+  };
+}
+
+// Products are stored in minor units; `price` is added for display
+function toProductResponse(product) {
+  return {
+    ...product,
+    price: toMajorUnits(product.unitPrice, product.currency)
+  };
+}
+
+// GET /products
+export const listHandler = httpHandler('listProducts', async ({ principal, query, log }) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
+  const active = query.active === 'true' || query.active === 'false' ? query.active === 'true' : null;
+  const tokenScope = { operation: 'listProducts', subject: principal.subject, filters: { active } };
+
+  const scanParams = {
+    TableName: PRODUCTS_TABLE_NAME,
+    Limit: limit,
+    ExclusiveStartKey: decodePageToken(query.nextToken, tokenScope)
+  };
+
+  if (active !== null) {
+    scanParams.FilterExpression = '#active = :active';
+    scanParams.ExpressionAttributeNames = { '#active': 'active' };
+    scanParams.ExpressionAttributeValues = { ':active': active };
+  }
+
+  const result = await ddbDocClient.send(new ScanCommand(scanParams));
+  const products = (result.Items || [])
+    .sort((a, b) => a.sku.localeCompare(b.sku))
+    .map(toProductResponse);
+
+  log('info', 'Products listed successfully', { productCount: products.length });
+
+  return {
+    body: {
+      success: true,
+      data: {
+        products,
+        pagination: {
+          limit,
+          count: products.length,
+          hasMore: !!result.LastEvaluatedKey,
+          nextToken: encodePageToken(result.LastEvaluatedKey, tokenScope)
+        }
+      }
+    }
+  };
+}, { service: SERVICE });
+
+// POST /products
+export const createHandler = httpHandler('createProduct', async ({ body, log }) => {
+  const validation = validateProductData(body, { sku: body.sku });
+  if (!validation.isValid) {
+    log('warn', 'Product validation failed', { errors: validation.errors });
+    throw new ValidationFailedError(validation.errors);
+  }
+
+  const timestamp = new Date().toISOString();
+  const product = {
+    ...toProduct(body.sku, body),
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+
+  try {
+    await ddbDocClient.send(new PutCommand({
+      TableName: PRODUCTS_TABLE_NAME,
+      Item: product,
+      ConditionExpression: 'attribute_not_exists(sku)'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    throw new ConflictError(`Product ${product.sku} already exists. Use PUT /products/${product.sku} to change it.`);
+  }
+
+  log('info', '🏷️ Product created', { sku: product.sku, unitPrice: product.unitPrice, currency: product.currency });
+
+  return {
+    statusCode: 201,
+    body: {
+      success: true,
+      data: toProductResponse(product),
+      message: 'Product created successfully'
+    }
+  };
+}, { service: SERVICE });
+
+// GET /products/{sku}
+export const getHandler = httpHandler('getProduct', async ({ params }) => {
+  const { sku } = params;
+
+  const { Item: product } = await ddbDocClient.send(new GetCommand({
+    TableName: PRODUCTS_TABLE_NAME,
+    Key: { sku }
+  }));
+
+  if (!product) {
+    throw new NotFoundError(`Product ${sku} was not found`);
+  }
+
+  return {
+    body: {
+      success: true,
+      data: toProductResponse(product)
+    }
+  };
+}, { service: SERVICE });
+
+// PUT /products/{sku}; set `active: false` to stop a product from being ordered
+export const updateHandler = httpHandler('updateProduct', async ({ params, body, log }) => {
+  const { sku } = params;
+
+  const validation = validateProductData(body, { sku });
+  if (!validation.isValid) {
+    log('warn', 'Product validation failed', { sku, errors: validation.errors });
+    throw new ValidationFailedError(validation.errors);
+  }
+
+  const { Item: existing } = await ddbDocClient.send(new GetCommand({
+    TableName: PRODUCTS_TABLE_NAME,
+    Key: { sku },
+    ConsistentRead: true
+  }));
+
+  if (!existing) {
+    throw new NotFoundError(`Product ${sku} was not found`);
+  }
+
+  // Existing orders keep the price they were created with; only new orders see the change
+  const product = {
+    ...toProduct(sku, body),
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+
+  try {
+    await ddbDocClient.send(new PutCommand({
+      TableName: PRODUCTS_TABLE_NAME,
+      Item: product,
+      ConditionExpression: 'attribute_exists(sku)'
+    }));
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    throw new NotFoundError(`Product ${sku} was not found`);
+  }
+
+  log('info', '🏷️ Product updated', {
+    sku,
+    unitPrice: product.unitPrice,
+    currency: product.currency,
+    active: product.active
+  });
+
+  return {
+    body: {
+      success: true,
+      data: toProductResponse(product),
+      message: 'Product updated successfully'
+    }
+  };
+}, { service: SERVICE });
@@ -0,0 +1,172 @@
+import { GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { httpHandler } from '../lib/http.mjs';
+import { NotFoundError } from '../lib/errors.mjs';
+import {
+  OrderStatus,
+  REVIEW_STATUSES,
+  InvalidTransitionError,
+  assertTransition,
+  isConditionFailure,
+  transitionCondition,
+  transitionErrorFromConditionFailure
+} from '../lib/orderStatus.mjs';
+import { buildOutboxPut } from '../lib/outbox.mjs';
+import {
+  VERSION_CONFLICT,
+  VERSION_INCREMENT,
+  orderVersion,
+  retryOnVersionConflict,
+  versionCondition
+} from '../lib/concurrency.mjs';
+import { hasActiveReservation, releaseStockItems, reservationReleaseUpdate } from '../lib/inventory.mjs';
+
+const TABLE_NAME = process.env.TABLE_NAME;
+
+// Each review decision maps to a target status and the event it publishes;
+// the function name also selects the request schema (a rejection needs a reason,
+// an approval needs no body at all)
+const DECISIONS = {
+  APPROVED: {
+    targetStatus: OrderStatus.CONFIRMED,
+    eventType: 'OrderApproved',
+    functionName: 'approveOrder',
+    releasesStock: false
+  },
+  REJECTED: {
+    targetStatus: OrderStatus.REJECTED,
+    eventType: 'OrderRejected',
+    functionName: 'rejectOrder',
+    releasesStock: true
+  }
+};
+
+function createReviewHandler(decision) {
+  const { targetStatus, eventType, functionName, releasesStock } = DECISIONS[decision];
+
+  return httpHandler(functionName, async ({ principal, params, body: reviewData, log }) => {
+    const orderId = params.id;
+
+    const timestamp = new Date().toISOString();
+    const review = {
+      decision,
+      decidedBy: principal.subject,
+      decidedAt: timestamp,
+      reason: reviewData?.reason?.trim() || null
+    };
+
+    log('info', '🧑‍⚖️ Recording review decision', { orderId, ...review });
+
+    // Read, check and write again whenever the order changes in between, so the
+    // decision is only refused when the order really is no longer awaiting review
+    const { previousStatus, release, outbox } = await retryOnVersionConflict(async attempt => {
+      const { Item: order } = await ddbDocClient.send(new GetCommand({
+        TableName: TABLE_NAME,
+        Key: { id: orderId },
+        ConsistentRead: true
+      }));
+
+      if (!order) {
+        throw new NotFoundError(`Order with ID ${orderId} was not found`);
+      }
+
+      // Only orders still waiting for a decision can be reviewed, and only once
+      if (!REVIEW_STATUSES.includes(order.status)) {
+        throw new InvalidTransitionError({
+          orderId,
+          from: order.status,
+          to: targetStatus,
+          reason: 'order is not awaiting review',
+          allowedFrom: REVIEW_STATUSES
+        });
+      }
+      assertTransition(order, targetStatus);
+
+      // A rejected order hands its reserved stock back to inventory
+      const release = releasesStock && hasActiveReservation(order) ? reservationReleaseUpdate(timestamp) : null;
+
+      const outbox = buildOutboxPut(eventType, {
+        id: orderId,
+        previousStatus: order.status,
+        status: targetStatus,
+        review,
+        stockReleased: !!release
+      }, { timestamp });
+
+      // The decision, its outbox entry and any stock release commit together, pinned to the version we read
+      const condition = transitionCondition(targetStatus, { from: order.status });
+      const versionCheck = versionCondition(orderVersion(order));
+      try {
+        await ddbDocClient.send(new TransactWriteCommand({
+          TransactItems: [
+            {
+              Update: {
+                TableName: TABLE_NAME,
+                Key: { id: orderId },
+                UpdateExpression: `SET #status = :status, #updatedAt = :updatedAt, #review = :review, ${VERSION_INCREMENT.UpdateExpression}${release ? `, ${release.UpdateExpression}` : ''}`,
+                ConditionExpression: `${condition.ConditionExpression} AND ${versionCheck.ConditionExpression}`,
+                ExpressionAttributeNames: {
+                  ...condition.ExpressionAttributeNames,
+                  ...versionCheck.ExpressionAttributeNames,
+                  ...VERSION_INCREMENT.ExpressionAttributeNames,
+                  ...release?.ExpressionAttributeNames,
+                  '#updatedAt': 'updatedAt',
+                  '#review': 'review'
+                },
+                ExpressionAttributeValues: {
+                  ...condition.ExpressionAttributeValues,
+                  ...versionCheck.ExpressionAttributeValues,
+                  ...VERSION_INCREMENT.ExpressionAttributeValues,
+                  ...release?.ExpressionAttributeValues,
+                  ':status': targetStatus,
+                  ':updatedAt': timestamp,
+                  ':review': review
+                },
+                ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+              }
+            },
+            outbox.transactItem,
+            ...(release ? releaseStockItems(order.reservation) : [])
+          ]
+        }));
+      } catch (error) {
+        if (!isConditionFailure(error)) {
+          throw error;
+        }
+        if (!transitionErrorFromConditionFailure(error, { orderId, to: targetStatus })) {
+          throw new NotFoundError(`Order with ID ${orderId} was not found`);
+        }
+
+        // The order changed between our read and write; check it again as it is now
+        log('info', 'Order changed while recording the decision, reading it again', { orderId, attempt, readStatus: order.status });
+        return VERSION_CONFLICT;
+      }
+
+      return { previousStatus: order.status, release, outbox };
+    }, { orderId });
+
+    log('info', `✅ Review decision stored and ${eventType} event queued in outbox`, {
+      orderId,
+      previousStatus,
+      targetStatus,
+      stockReleased: !!release,
+      outboxEntryId: outbox.entryId
+    });
+
+    return {
+      body: {
+        success: true,
+        data: {
+          id: orderId,
+          status: targetStatus,
+          previousStatus,
+          review
+        },
+        message: `Order ${decision.toLowerCase()} successfully`
+      }
+    };
+  });
+}
+
+export const approveHandler = createReviewHandler('APPROVED');
+export const rejectHandler = createReviewHandler('REJECTED');
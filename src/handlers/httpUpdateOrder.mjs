@@ -0,0 +1,180 @@
+import { GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient } from '../lib/clients.mjs';
+import { HttpError, getHeader, httpHandler } from '../lib/http.mjs';
+import { ConflictError, NotFoundError } from '../lib/errors.mjs';
+import { canAccessOrder } from '../lib/auth.mjs';
+import { EDITABLE_STATUSES, isConditionFailure } from '../lib/orderStatus.mjs';
+import { buildOutboxPut } from '../lib/outbox.mjs';
+import { computeTotals, orderTotals } from '../lib/money.mjs';
+import { orderSkus, priceOrderItems } from '../lib/catalog.mjs';
+import { customerCreatedConcurrentlyError, customerTransactItems, resolveOrderCustomer } from '../lib/customers.mjs';
+import {
+  VERSION_INCREMENT,
+  etagFor,
+  orderVersion,
+  parseIfMatch,
+  versionCondition
+} from '../lib/concurrency.mjs';
+
+const TABLE_NAME = process.env.TABLE_NAME;
+
+function notEditableError(orderId, status) {
+  return new ConflictError(`Order ${orderId} in status ${status} can no longer be edited. Editable statuses: ${EDITABLE_STATUSES.join(', ')}`);
+}
+
+function preconditionFailedError(order) {
+  return new HttpError(412, 'Precondition Failed',
+    'The order has been modified since it was retrieved. Fetch it again and retry with the new ETag.',
+    { headers: { ETag: etagFor(order) } });
+}
+
+export const handler = httpHandler('updateOrder', async ({ principal, params, headers, body: changes, log }) => {
+  const orderId = params.id;
+
+  // Edits must name the version they were based on
+  const ifMatch = getHeader(headers, 'if-match');
+  if (!ifMatch) {
+    throw new HttpError(428, 'Precondition Required',
+      'If-Match header with the order ETag is required. Retrieve the order first to obtain it.');
+  }
+  const expectedVersion = parseIfMatch(ifMatch);
+
+  const { Item: order } = await ddbDocClient.send(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: { id: orderId },
+    ConsistentRead: true
+  }));
+
+  if (!order || !canAccessOrder(principal, order)) {
+    throw new NotFoundError(`Order with ID ${orderId} was not found`);
+  }
+
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    throw notEditableError(orderId, order.status);
+  }
+
+  if (expectedVersion === null || expectedVersion !== orderVersion(order)) {
+    log('warn', 'If-Match does not match current order version', {
+      orderId,
+      ifMatch,
+      currentVersion: orderVersion(order)
+    });
+    throw preconditionFailedError(order);
+  }
+
+  const timestamp = new Date().toISOString();
+  const updates = {};
+  if (changes.items !== undefined) {
+    // New items are priced from the catalog in the order's original currency and tax rate
+    const { currency, taxRateBps } = orderTotals(order);
+    const priced = await priceOrderItems(ddbDocClient, changes.items, { currency });
+    const repriced = computeTotals(priced.items, { currency, taxRateBps });
+    updates.items = repriced.items;
+    updates.skus = orderSkus(repriced.items);
+    updates.totals = repriced.totals;
+  }
+  let newCustomer = null;
+  if (changes.customerId !== undefined || changes.customerName !== undefined) {
+    // A new name moves the order to the owner's customer with that name; a new
+    // customer is created in the same transaction as the edit
+    const { customer, isNew } = await resolveOrderCustomer(ddbDocClient, changes, {
+      principal,
+      ownerId: order.ownerId ?? principal.subject
+    });
+    updates.customerId = customer.id;
+    updates.customerName = customer.name;
+    newCustomer = isNew ? customer : null;
+  }
+
+  const names = { '#updatedAt': 'updatedAt' };
+  const values = { ':updatedAt': timestamp };
+  const assignments = ['#updatedAt = :updatedAt'];
+  Object.entries(updates).forEach(([field, value]) => {
+    names[`#${field}`] = field;
+    values[`:${field}`] = value;
+    assignments.push(`#${field} = :${field}`);
+  });
+
+  const newVersion = expectedVersion + 1;
+  const outbox = buildOutboxPut('OrderUpdated', {
+    id: orderId,
+    changedFields: Object.keys(updates),
+    version: newVersion,
+    updatedAt: timestamp
+  }, { timestamp });
+
+  // Status and version are both re-checked at write time
+  const versionCheck = versionCondition(expectedVersion);
+  try {
+    await ddbDocClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: TABLE_NAME,
+            Key: { id: orderId },
+            UpdateExpression: `SET ${assignments.join(', ')}, ${VERSION_INCREMENT.UpdateExpression}`,
+            ConditionExpression: `attribute_exists(id) AND #status = :editableStatus AND ${versionCheck.ConditionExpression}`,
+            ExpressionAttributeNames: {
+              ...names,
+              ...versionCheck.ExpressionAttributeNames,
+              ...VERSION_INCREMENT.ExpressionAttributeNames,
+              '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+              ...values,
+              ...versionCheck.ExpressionAttributeValues,
+              ...VERSION_INCREMENT.ExpressionAttributeValues,
+              ':editableStatus': order.status
+            },
+            ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+          }
+        },
+        outbox.transactItem,
+        ...(newCustomer ? customerTransactItems(newCustomer) : [])
+      ]
+    }));
+  } catch (error) {
+    // The new customer's name claim follows the order and its outbox entry
+    if (newCustomer && isConditionFailure(error, { transactIndex: 2 })) {
+      throw customerCreatedConcurrentlyError(newCustomer, error);
+    }
+    if (!isConditionFailure(error)) {
+      throw error;
+    }
+
+    // Someone else wrote the order between our read and write
+    const current = error.CancellationReasons?.[0]?.Item;
+    if (!current) {
+      throw new NotFoundError(`Order with ID ${orderId} was not found`);
+    }
+    const currentStatus = current.status?.S;
+    if (!EDITABLE_STATUSES.includes(currentStatus)) {
+      throw notEditableError(orderId, currentStatus);
+    }
+    log('warn', 'Concurrent order update detected', { orderId, expectedVersion });
+    throw preconditionFailedError({ version: Number(current.version?.N ?? 0) });
+  }
+
+  const updatedOrder = {
+    ...order,
+    ...updates,
+    version: newVersion,
+    updatedAt: timestamp
+  };
+
+  log('info', '✅ Order updated and OrderUpdated event queued in outbox', {
+    orderId,
+    changedFields: Object.keys(updates),
+    version: newVersion,
+    outboxEntryId: outbox.entryId
+  });
+
+  return {
+    headers: { 'ETag': etagFor(updatedOrder) },
+    body: {
+      success: true,
+      data: updatedOrder,
+      message: 'Order updated successfully'
+    }
+  };
+});
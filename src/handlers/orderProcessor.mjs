@@ -1,73 +1,157 @@
-import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, UpdateCommand } from '@aws-sdk/lib-dynamodb';
-
-// Initialize AWS clients with latest v3 SDK
-const dynamoClient = new DynamoDBClient({
-  maxAttempts: 3,
-  retryMode: 'adaptive'
-});
-
-const ddbDocClient = DynamoDBDocumentClient.from(dynamoClient, {
-  marshallOptions: {
-    removeUndefinedValues: true,
-    convertClassInstanceToMap: true
-  },
-  unmarshallOptions: {
-    wrapNumbers: false
-  }
-});
+import { GetCommand, TransactWriteCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { ddbDocClient, sqsClient } from '../lib/clients.mjs';
+import { createLogger } from '../lib/logger.mjs';
+import {
+  OrderStatus,
+  InvalidTransitionError,
+  assertTransition,
+  canTransition,
+  isConditionFailure,
+  transitionCondition,
+  transitionErrorFromConditionFailure
+} from '../lib/orderStatus.mjs';
+import { VERSION_INCREMENT, orderVersion, versionCondition } from '../lib/concurrency.mjs';
+import { ConflictError, ValidationFailedError, fromAwsError } from '../lib/errors.mjs';
+import { evaluateRules, loadRules } from '../lib/rulesEngine.mjs';
+import { ReservationStatus, reservationLines, reserveStockItems, stockShortfall } from '../lib/inventory.mjs';
+import { parkMessage, recordMessageFailure } from '../lib/deadLetters.mjs';
+import { emitMetrics } from '../lib/metrics.mjs';
 
 const TABLE_NAME = process.env.TABLE_NAME;
 
-// Utility function for structured logging
-function log(level, message, metadata = {}) {
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    level: level.toUpperCase(),
-    service: 'order-processor',
-    function: 'orderProcessor',
-    message,
-    ...metadata
-  };
-  console.log(JSON.stringify(logEntry));
+// Events published after an HTTP endpoint has already changed the order
+const ORDER_CHANGE_EVENTS = ['OrderUpdated', 'OrderCancelled', 'OrderApproved', 'OrderRejected'];
+
+const log = createLogger('orderProcessor', { service: 'order-processor' });
+
+// Failures that would repeat on every delivery of the message. Anything else -
+// throttling, a network error, a broken rules config, a bug - is retried, so
+// fixing the cause is enough to recover without redriving the DLQ.
+function isPermanentFailure(error) {
+  return error instanceof ValidationFailedError || error instanceof InvalidTransitionError;
 }
 
-// Order processing business logic
-async function processOrderCreated(orderDetail) {
-  const { id, customerName, items } = orderDetail;
+// Order processing business logic, applied to the order as currently stored
+async function processOrderCreated(order) {
+  const { id, customerName, items } = order;
   
-  // Simulate order validation and processing logic
   log('info', 'Processing order created event', {
     orderId: id,
     customerName,
     itemCount: items?.length || 0
   });
   
-  // Business rules for order confirmation
-  let newStatus = 'CONFIRMED';
-  let processingNotes = 'Order processed successfully';
-  
-  // Example: Check inventory (simulated)
-  if (items && items.length > 10) {
-    // Large orders need manual review
-    newStatus = 'PENDING_REVIEW';
-    processingNotes = 'Large order requires manual review';
-    log('warn', 'Large order flagged for review', { orderId: id, itemCount: items.length });
+  // Review thresholds are declarative rules; every match is kept with its reason
+  const { source, rules } = await loadRules(ddbDocClient);
+  const result = evaluateRules(rules, order);
+
+  if (result.matchedRules.length > 0) {
+    log('warn', 'Order flagged by review rules', {
+      orderId: id,
+      newStatus: result.newStatus,
+      matchedRules: result.matchedRules,
+      rulesSource: source
+    });
   }
   
-  // Example: Check customer credit (simulated)
-  const totalValue = items?.reduce((sum, item) => sum + ((item.price || 0) * (item.qty || 0)), 0) || 0;
-  if (totalValue > 10000) {
-    newStatus = 'PENDING_APPROVAL';
-    processingNotes = 'High-value order requires approval';
-    log('warn', 'High-value order flagged for approval', { orderId: id, totalValue });
+  return result;
+}
+
+// Order status update pinned to the status and version we read: a concurrent
+// cancellation wins the race, and an edit made meanwhile gets the order re-evaluated
+function orderStatusUpdate(order, newStatus, fields) {
+  const condition = transitionCondition(newStatus, { from: order.status });
+  const versionCheck = versionCondition(orderVersion(order));
+
+  const names = {};
+  const values = {};
+  const assignments = [];
+  Object.entries({ status: newStatus, ...fields }).forEach(([field, value]) => {
+    names[`#${field}`] = field;
+    values[`:${field}`] = value;
+    assignments.push(`#${field} = :${field}`);
+  });
+
+  return {
+    TableName: TABLE_NAME,
+    Key: { id: order.id },
+    UpdateExpression: `SET ${assignments.join(', ')}, ${VERSION_INCREMENT.UpdateExpression}`,
+    ConditionExpression: `${condition.ConditionExpression} AND ${versionCheck.ConditionExpression}`,
+    ExpressionAttributeNames: {
+      ...names,
+      ...condition.ExpressionAttributeNames,
+      ...versionCheck.ExpressionAttributeNames,
+      ...VERSION_INCREMENT.ExpressionAttributeNames
+    },
+    ExpressionAttributeValues: {
+      ...values,
+      ...condition.ExpressionAttributeValues,
+      ...versionCheck.ExpressionAttributeValues,
+      ...VERSION_INCREMENT.ExpressionAttributeValues
+    },
+    ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+  };
+}
+
+// The order changed between our read and the write. Throws to retry the message
+// when only its contents changed; otherwise logs why the message is dropped.
+function handleOrderWriteConflict(error, { messageId, order, newStatus }) {
+  const transitionError = transitionErrorFromConditionFailure(error, { orderId: order.id, to: newStatus });
+
+  // Same status but a newer version: the order was edited, so evaluate it again
+  if (transitionError?.from === order.status) {
+    throw new ConflictError(`Order ${order.id} was modified while being processed`, { retryable: true });
+  }
+
+  // Nothing to retry: the order is gone or changed status since we read it
+  log('warn', 'Order status changed concurrently, skipping processing', {
+    messageId,
+    orderId: order.id,
+    orderExists: !!transitionError,
+    currentStatus: transitionError?.from,
+    error: transitionError?.message
+  });
+}
+
+/**
+ * Settles a record that failed. Permanent failures would fail the same way on
+ * every retry, so they are parked in the DLQ at once, with the reason in
+ * message attributes, and acknowledged. Transient failures go back to SQS as
+ * batch item failures and are retried until maxReceiveCount moves them to the
+ * DLQ; their reason is recorded for the DLQ admin API. `batch` collects the
+ * batch item failures and the counts reported as metrics.
+ */
+async function failRecord(batch, record, { reason, errorCode, retryable = false }) {
+  const { messageId } = record;
+
+  if (!retryable) {
+    batch.counts.permanent += 1;
+    try {
+      const parkedMessageId = await parkMessage(sqsClient, record, { reason, errorCode });
+      log('warn', '🅿️ Permanent failure, message parked in the DLQ', { messageId, parkedMessageId, errorCode, reason });
+      return;
+    } catch (error) {
+      // Retried like a transient failure rather than dropped
+      batch.counts.parkingFailed += 1;
+      log('error', 'Failed to park message, returning it to the queue', { messageId, error: error.message });
+    }
+  } else {
+    batch.counts.transient += 1;
+  }
+
+  batch.batchItemFailures.push({ itemIdentifier: messageId });
+  try {
+    await recordMessageFailure(ddbDocClient, record, { reason, errorCode, retryable });
+  } catch (error) {
+    log('error', 'Failed to record message failure', { messageId, error: error.message });
   }
-  
-  return { newStatus, processingNotes };
 }
 
 export const handler = async (event) => {
-  const batchItemFailures = [];
+  const batch = {
+    batchItemFailures: [],
+    counts: { transient: 0, permanent: 0, parkingFailed: 0 }
+  };
   
   log('info', 'Starting order processor batch', {
     recordCount: event.Records?.length || 0,
@@ -94,8 +178,11 @@ export const handler = async (event) => {
           error: parseError.message,
           rawBody: record.body
         });
-        // Don't retry parsing errors - send to DLQ
-        batchItemFailures.push({ itemIdentifier: messageId });
+        // Parsing errors cannot be retried away - park in the DLQ
+        await failRecord(batch, record, {
+          reason: `Message body is not valid JSON: ${parseError.message}`,
+          errorCode: 'InvalidMessageBody'
+        });
         continue;
       }
       
@@ -106,8 +193,11 @@ export const handler = async (event) => {
           messageType: messageBody.type,
           hasDetail: !!messageBody.detail
         });
-        // Don't retry structural errors - send to DLQ
-        batchItemFailures.push({ itemIdentifier: messageId });
+        // Structural errors cannot be retried away - park in the DLQ
+        await failRecord(batch, record, {
+          reason: 'Message has no type or detail',
+          errorCode: 'InvalidMessageStructure'
+        });
         continue;
       }
       
@@ -120,7 +210,10 @@ export const handler = async (event) => {
             messageId,
             detail: messageBody.detail
           });
-          batchItemFailures.push({ itemIdentifier: messageId });
+          await failRecord(batch, record, {
+            reason: 'OrderCreated event has no order ID',
+            errorCode: 'MissingOrderId'
+          });
           continue;
         }
         
@@ -130,126 +223,221 @@ export const handler = async (event) => {
           customerName: messageBody.detail?.customerName
         });
         
+        // Load the stored order so the transition is checked against its real status
+        const { Item: order } = await ddbDocClient.send(new GetCommand({
+          TableName: TABLE_NAME,
+          Key: { id: orderId },
+          ConsistentRead: true
+        }));
+
+        if (!order) {
+          log('warn', 'Order not found, skipping processing', { messageId, orderId });
+          continue;
+        }
+
+        const oldStatus = order.status;
+
         // Apply business logic for order processing
         log('debug', '🔄 Applying business logic to order', {
           messageId,
           orderId,
-          itemCount: messageBody.detail?.items?.length || 0
+          oldStatus,
+          itemCount: order.items?.length || 0
         });
 
-        const { newStatus, processingNotes } = await processOrderCreated(messageBody.detail);
+        let { newStatus, processingNotes, matchedRules } = await processOrderCreated(order);
         
         log('debug', '📊 Order processing result', {
           messageId,
           orderId,
+          oldStatus,
           newStatus,
-          processingNotes
+          processingNotes,
+          matchedRules
         });
 
-        // Update order status in DynamoDB
-        log('debug', '💾 Updating order status in DynamoDB', {
+        try {
+          assertTransition(order, newStatus);
+        } catch (transitionError) {
+          if (!(transitionError instanceof InvalidTransitionError)) {
+            throw transitionError;
+          }
+
+          // A guard refused the move (e.g. an order without items cannot be confirmed);
+          // the order would otherwise stay PENDING, so a person decides instead
+          if (transitionError.reason && canTransition(order.status, OrderStatus.PENDING_REVIEW)) {
+            log('warn', 'Order cannot move to its new status, sending it to review', {
+              messageId,
+              orderId,
+              oldStatus,
+              newStatus,
+              reason: transitionError.reason
+            });
+            newStatus = OrderStatus.PENDING_REVIEW;
+            processingNotes = `Needs review: cannot move to ${transitionError.to}: ${transitionError.reason}`;
+          } else {
+            // Redelivered or already handled elsewhere (e.g. cancelled); nothing to retry
+            log('warn', 'Order cannot be processed in its current status, skipping', {
+              messageId,
+              orderId,
+              oldStatus,
+              newStatus,
+              error: transitionError.message
+            });
+            continue;
+          }
+        }
+
+        // Reserve stock for every line in the same transaction as the status change
+        const lines = reservationLines(order.items);
+        const timestamp = new Date().toISOString();
+        let finalStatus = newStatus;
+        let finalNotes = processingNotes;
+
+        log('debug', '💾 Reserving stock and updating order status', {
           messageId,
           orderId,
           tableName: TABLE_NAME,
-          newStatus
+          oldStatus,
+          newStatus,
+          lines
         });
 
-        const updateParams = {
-          TableName: TABLE_NAME,
-          Key: { id: orderId },
-          UpdateExpression: 'SET #status = :status, #updatedAt = :updatedAt, #processingNotes = :notes',
-          ExpressionAttributeNames: {
-            '#status': 'status',
-            '#updatedAt': 'updatedAt',
-            '#processingNotes': 'processingNotes'
-          },
-          ExpressionAttributeValues: {
-            ':status': newStatus,
-            ':updatedAt': new Date().toISOString(),
-            ':notes': processingNotes
-          },
-          // Ensure order exists before updating
-          ConditionExpression: 'attribute_exists(id)',
-          ReturnValues: 'ALL_NEW'
-        };
-        
-        const updateResult = await ddbDocClient.send(new UpdateCommand(updateParams));
+        try {
+          await ddbDocClient.send(new TransactWriteCommand({
+            TransactItems: [
+              {
+                Update: orderStatusUpdate(order, newStatus, {
+                  processingNotes,
+                  matchedRules,
+                  reservation: { status: ReservationStatus.RESERVED, lines, reservedAt: timestamp },
+                  updatedAt: timestamp
+                })
+              },
+              ...reserveStockItems(lines)
+            ]
+          }));
+        } catch (reserveError) {
+          if (reserveError.name !== 'TransactionCanceledException') {
+            throw reserveError;
+          }
+
+          if (isConditionFailure(reserveError)) {
+            handleOrderWriteConflict(reserveError, { messageId, order, newStatus });
+            continue;
+          }
+
+          // Anything other than a stock shortfall (e.g. a transaction conflict) is retried
+          const shortfall = stockShortfall(reserveError, lines, { offset: 1 });
+          if (shortfall.length === 0) {
+            throw reserveError;
+          }
+
+          finalStatus = shortfall.every(line => line.backorderable) ? OrderStatus.BACKORDERED : OrderStatus.OUT_OF_STOCK;
+          finalNotes = `Insufficient stock for ${shortfall.map(line => `${line.sku} (requested ${line.requested}, available ${line.available})`).join(', ')}`;
+
+          log('warn', '📦 Stock reservation failed', { messageId, orderId, finalStatus, shortfall });
+
+          try {
+            await ddbDocClient.send(new UpdateCommand(orderStatusUpdate(order, finalStatus, {
+              processingNotes: finalNotes,
+              matchedRules,
+              stockShortfall: shortfall,
+              updatedAt: timestamp
+            })));
+          } catch (updateError) {
+            if (updateError.name !== 'ConditionalCheckFailedException') {
+              throw updateError;
+            }
+            handleOrderWriteConflict(updateError, { messageId, order, newStatus: finalStatus });
+            continue;
+          }
+        }
         
         log('info', '✅ Order status updated successfully', {
           messageId,
           orderId,
-          oldStatus: 'PENDING',
-          newStatus,
-          processingNotes,
-          updatedAt: updateResult.Attributes?.updatedAt,
-          consumedCapacity: updateResult.ConsumedCapacity
+          oldStatus,
+          newStatus: finalStatus,
+          processingNotes: finalNotes,
+          reserved: finalStatus === newStatus,
+          updatedAt: timestamp
         });
 
         log('debug', '🎯 SQS message processed completely', {
           messageId,
           orderId,
-          finalStatus: newStatus,
+          finalStatus,
           processingTimeMs: Date.now() - new Date(messageBody.timestamp).getTime()
         });
         
+      } else if (ORDER_CHANGE_EVENTS.includes(messageBody.type)) {
+        orderId = messageBody.detail?.id;
+
+        // The HTTP endpoint already applied the change; just acknowledge the event
+        log('info', 'Order change acknowledged', {
+          messageId,
+          orderId,
+          eventType: messageBody.type,
+          previousStatus: messageBody.detail?.previousStatus,
+          reason: messageBody.detail?.reason ?? messageBody.detail?.review?.reason
+        });
+
       } else {
         log('warn', 'Unknown message type received', {
           messageId,
           messageType: messageBody.type
         });
-        // Unknown message types should not be retried
-        batchItemFailures.push({ itemIdentifier: messageId });
+        // Unknown message types should not be retried - park in the DLQ
+        await failRecord(batch, record, {
+          reason: `Unknown message type ${messageBody.type}`,
+          errorCode: 'UnknownMessageType'
+        });
       }
       
     } catch (error) {
+      // Only known permanent failures are parked; unknown errors are retried until maxReceiveCount
+      const appError = fromAwsError(error);
+      const retryable = !isPermanentFailure(error);
+
       log('error', 'Failed to process SQS record', {
         messageId,
         orderId,
         error: error.message,
-        errorCode: error.code,
+        errorCode: error.code || error.name,
+        errorType: appError?.name,
+        retryable,
         stack: error.stack
       });
-      
-      // Handle specific errors that shouldn't be retried
-      if (error.code === 'ConditionalCheckFailedException') {
-        log('warn', 'Order not found for update, message will be discarded', {
-          messageId,
-          orderId
-        });
-        // Don't retry if order doesn't exist
-        batchItemFailures.push({ itemIdentifier: messageId });
-      } else if (error.code === 'ValidationException') {
-        log('warn', 'DynamoDB validation error, message will be discarded', {
-          messageId,
-          orderId,
-          error: error.message
-        });
-        // Don't retry validation errors
-        batchItemFailures.push({ itemIdentifier: messageId });
-      } else {
-        // Transient errors should be retried
-        log('warn', 'Transient error, message will be retried', {
-          messageId,
-          orderId,
-          error: error.message
-        });
-        batchItemFailures.push({ itemIdentifier: messageId });
+
+      if (retryable) {
+        log('warn', 'Transient error, message will be retried', { messageId, orderId, error: error.message });
       }
+      await failRecord(batch, record, { reason: error.message, errorCode: error.code || error.name, retryable });
     }
   }
   
-  const successCount = event.Records.length - batchItemFailures.length;
-  const failureCount = batchItemFailures.length;
-  
+  const { batchItemFailures, counts } = batch;
+  const successCount = event.Records.length - counts.transient - counts.permanent;
+
   log('info', 'Order processor batch completed', {
     totalRecords: event.Records.length,
     successCount,
-    failureCount,
+    transientFailures: counts.transient,
+    permanentFailures: counts.permanent,
+    parkingFailures: counts.parkingFailed,
     batchItemFailures: batchItemFailures.map(f => f.itemIdentifier)
   });
-  
-  // Return partial batch failure information
-  // SQS will only retry the failed messages
+
+  emitMetrics({
+    MessagesProcessed: event.Records.length,
+    MessagesSucceeded: successCount,
+    TransientFailures: counts.transient,
+    PermanentFailures: counts.permanent,
+    ParkingFailures: counts.parkingFailed
+  }, { dimensions: { Service: 'order-processor' } });
+
+  // Only transient failures (and permanent ones that could not be parked) are retried
   return {
     batchItemFailures
   };
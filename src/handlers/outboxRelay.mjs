@@ -0,0 +1,136 @@
+import { QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+import { ddbDocClient, sqsClient } from '../lib/clients.mjs';
+import { createLogger } from '../lib/logger.mjs';
+import { OutboxStatus, outboxBatches, publishOutboxBatch } from '../lib/outbox.mjs';
+
+const OUTBOX_TABLE_NAME = process.env.OUTBOX_TABLE_NAME;
+const QUEUE_URL = process.env.QUEUE_URL;
+
+// The sweep leaves fresh entries to the stream trigger and picks up the stragglers
+const SWEEP_GRACE_SECONDS = parseInt(process.env.OUTBOX_SWEEP_GRACE_SECONDS || '60', 10);
+const SWEEP_MAX_ENTRIES = parseInt(process.env.OUTBOX_SWEEP_MAX_ENTRIES || '500', 10);
+
+const log = createLogger('outboxRelay', { service: 'order-outbox' });
+
+function logFailure(message, entry, error) {
+  log('error', message, {
+    outboxEntryId: entry.id,
+    orderId: entry.aggregateId,
+    error: error.message,
+    errorCode: error.code ?? error.name
+  });
+}
+
+/**
+ * Publishes one SendMessageBatch worth of entries. Resolves to the entries
+ * that were not published, in order; a failed request fails them all.
+ */
+async function relayBatch(entries, failureMessage) {
+  let results;
+  try {
+    results = await publishOutboxBatch({ ddbDocClient, sqsClient, queueUrl: QUEUE_URL }, entries);
+  } catch (error) {
+    entries.forEach(entry => logFailure(failureMessage, entry, error));
+    return entries;
+  }
+
+  const unpublished = [];
+  results.forEach(({ entry, messageId, marked, error }) => {
+    if (error) {
+      logFailure(failureMessage, entry, error);
+      unpublished.push(entry);
+      return;
+    }
+    log('info', '📨 Outbox entry published', {
+      outboxEntryId: entry.id,
+      orderId: entry.aggregateId,
+      eventType: entry.eventType,
+      messageId,
+      alreadyMarked: !marked
+    });
+  });
+  return unpublished;
+}
+
+// DynamoDB Streams trigger: publish entries as soon as they are written
+async function relayStreamRecords(records) {
+  const sequenceNumbers = new Map();
+  const entries = [];
+
+  for (const record of records) {
+    const image = record.dynamodb?.NewImage;
+    if (record.eventName !== 'INSERT' || !image) {
+      continue;
+    }
+
+    const entry = unmarshall(image);
+    if (entry.status !== OutboxStatus.PENDING) {
+      continue;
+    }
+    sequenceNumbers.set(entry.id, record.dynamodb.SequenceNumber);
+    entries.push(entry);
+  }
+
+  for (const batch of outboxBatches(entries)) {
+    const [firstUnpublished] = await relayBatch(batch, 'Failed to publish outbox entry from stream');
+    if (firstUnpublished) {
+      // Lambda retries the stream from the first failed record onward; entries after it may be sent twice
+      return { batchItemFailures: [{ itemIdentifier: sequenceNumbers.get(firstUnpublished.id) }] };
+    }
+  }
+
+  return { batchItemFailures: [] };
+}
+
+// Scheduled trigger: publish anything the stream path left behind
+async function sweepPendingEntries() {
+  const cutoff = new Date(Date.now() - SWEEP_GRACE_SECONDS * 1000).toISOString();
+  let lastEvaluatedKey;
+  let published = 0;
+  let failed = 0;
+
+  do {
+    const result = await ddbDocClient.send(new QueryCommand({
+      TableName: OUTBOX_TABLE_NAME,
+      IndexName: 'StatusIndex',
+      KeyConditionExpression: '#status = :pending AND #createdAt < :cutoff',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#createdAt': 'createdAt'
+      },
+      ExpressionAttributeValues: {
+        ':pending': OutboxStatus.PENDING,
+        ':cutoff': cutoff
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+
+    for (const batch of outboxBatches(result.Items || [])) {
+      const unpublished = await relayBatch(batch, 'Failed to publish outbox entry during sweep');
+      published += batch.length - unpublished.length;
+      failed += unpublished.length;
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey && published + failed < SWEEP_MAX_ENTRIES);
+
+  return { published, failed, hasMore: !!lastEvaluatedKey };
+}
+
+export const handler = async (event) => {
+  if (Array.isArray(event.Records)) {
+    log('info', 'Relaying outbox entries from stream', { recordCount: event.Records.length });
+    const result = await relayStreamRecords(event.Records);
+    log('info', 'Outbox stream batch completed', {
+      recordCount: event.Records.length,
+      failedSequenceNumbers: result.batchItemFailures.map(failure => failure.itemIdentifier)
+    });
+    return result;
+  }
+
+  log('info', '🧹 Sweeping pending outbox entries', { cutoffSeconds: SWEEP_GRACE_SECONDS });
+  const summary = await sweepPendingEntries();
+  log(summary.failed ? 'warn' : 'info', 'Outbox sweep completed', summary);
+  return summary;
+};
@@ -0,0 +1,90 @@
+/**
+ * API keys for partner integrations.
+ *
+ * A key is `<key id>.<secret>`. Only a SHA-256 hash of the secret is stored;
+ * the secret is 256 random bits, so a fast hash is enough and the plaintext
+ * key is shown once, when it is issued or rotated. Rotation keeps the previous
+ * secret valid for a grace period so partners can switch over without
+ * downtime; revocation takes effect on the next request.
+ *
+ * A verified key becomes a principal whose subject is `partner:<partnerId>`,
+ * so the orders a partner creates are owned by the partner as a whole rather
+ * than by one of its keys.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { v4 as uuid } from 'uuid';
+import { GetCommand } from '@aws-sdk/lib-dynamodb';
+import { UnauthorizedError } from './errors.mjs';
+
+const API_KEYS_TABLE_NAME = process.env.API_KEYS_TABLE_NAME;
+
+const KEY_PATTERN = /^([0-9a-f-]{36})\.([A-Za-z0-9_-]{43})$/;
+
+export const ApiKeyStatus = Object.freeze({
+  ACTIVE: 'ACTIVE',
+  REVOKED: 'REVOKED'
+});
+
+export function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function matchesHash(secret, keyHash) {
+  return typeof keyHash === 'string' && timingSafeEqual(Buffer.from(hashSecret(secret)), Buffer.from(keyHash));
+}
+
+/**
+ * A new secret for key `id`. Returns the plaintext `key` for the partner and
+ * the `keyHash` to store.
+ */
+export function generateKey(id = uuid()) {
+  const secret = randomBytes(32).toString('base64url');
+  return { id, key: `${id}.${secret}`, keyHash: hashSecret(secret) };
+}
+
+// The stored record without its hashes, as admins see it
+export function toApiKeyResponse({ keyHash: _keyHash, previousKeyHash: _previousKeyHash, ...apiKey }) {
+  return apiKey;
+}
+
+function isPreviousSecret(secret, apiKey) {
+  return !!apiKey.previousKeyHash &&
+    new Date(apiKey.previousKeyExpiresAt).getTime() > Date.now() &&
+    matchesHash(secret, apiKey.previousKeyHash);
+}
+
+/**
+ * Verifies an X-API-Key header value and returns the partner as
+ * `{ subject, roles, isAdmin, partnerId, apiKeyId, rateLimit }`.
+ * Throws UnauthorizedError for unknown, malformed or revoked keys.
+ */
+export async function authenticateApiKey(ddbDocClient, value) {
+  const match = KEY_PATTERN.exec(value.trim());
+  if (!match) {
+    throw new UnauthorizedError('The API key is invalid', { error: 'invalid_token' });
+  }
+  const [, id, secret] = match;
+
+  // Strongly consistent so a revoked key stops working immediately
+  const { Item: apiKey } = await ddbDocClient.send(new GetCommand({
+    TableName: API_KEYS_TABLE_NAME,
+    Key: { id },
+    ConsistentRead: true
+  }));
+
+  const valid = apiKey?.status === ApiKeyStatus.ACTIVE &&
+    (matchesHash(secret, apiKey.keyHash) || isPreviousSecret(secret, apiKey));
+  if (!valid) {
+    throw new UnauthorizedError('The API key is invalid or has been revoked', { error: 'invalid_token' });
+  }
+
+  return {
+    subject: `partner:${apiKey.partnerId}`,
+    roles: [],
+    isAdmin: false,
+    partnerId: apiKey.partnerId,
+    apiKeyId: apiKey.id,
+    rateLimit: apiKey.rateLimit
+  };
+}
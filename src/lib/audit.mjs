@@ -0,0 +1,111 @@
+/**
+ * Audit log of administrative actions.
+ *
+ * An entry is written STARTED before the action runs, so an action that
+ * cannot be audited does not run, and is completed with the action's outcome
+ * or error afterwards. Entries are keyed by the `resource` acted on and an
+ * `auditId` of `<timestamp>#<uuid>`, so a resource's history reads in order.
+ */
+
+import { v4 as uuid } from 'uuid';
+import { PutCommand, QueryCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+
+const AUDIT_TABLE_NAME = process.env.AUDIT_TABLE_NAME;
+
+export const AuditStatus = Object.freeze({
+  STARTED: 'STARTED',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+});
+
+async function finishAudit(ddbDocClient, entry, { status, outcome, error }) {
+  await ddbDocClient.send(new UpdateCommand({
+    TableName: AUDIT_TABLE_NAME,
+    Key: { resource: entry.resource, auditId: entry.auditId },
+    UpdateExpression: 'SET #status = :status, #completedAt = :completedAt, #outcome = :outcome, #error = :error',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#completedAt': 'completedAt',
+      '#outcome': 'outcome',
+      '#error': 'error'
+    },
+    ExpressionAttributeValues: {
+      ':status': status,
+      ':completedAt': new Date().toISOString(),
+      ':outcome': outcome ?? null,
+      ':error': error ?? null
+    }
+  }));
+}
+
+/**
+ * Runs `run()` under an audit entry for `resource` recording who did what:
+ * `action` names it, `request` holds its parameters. Resolves to `{ auditId,
+ * outcome }` where `outcome` is what `run()` resolved to; `outcomeOf` picks
+ * what of it is recorded (e.g. IDs rather than payloads). Errors from `run()`
+ * are recorded and rethrown. Completing the entry is best effort: once the
+ * action ran, failing to record its outcome is logged, not thrown.
+ */
+export async function withAudit(ddbDocClient, { resource, action, principal, requestId, request = null }, run, {
+  log,
+  outcomeOf = outcome => outcome
+}) {
+  const startedAt = new Date().toISOString();
+  const entry = {
+    resource,
+    auditId: `${startedAt}#${uuid()}`,
+    action,
+    actor: principal.subject,
+    requestId,
+    request,
+    status: AuditStatus.STARTED,
+    startedAt
+  };
+
+  await ddbDocClient.send(new PutCommand({
+    TableName: AUDIT_TABLE_NAME,
+    Item: entry,
+    ConditionExpression: 'attribute_not_exists(auditId)'
+  }));
+
+  const finish = async result => {
+    try {
+      await finishAudit(ddbDocClient, entry, result);
+    } catch (auditError) {
+      log('error', '❌ Failed to complete audit entry', {
+        resource,
+        auditId: entry.auditId,
+        status: result.status,
+        error: auditError.message
+      });
+    }
+  };
+
+  let outcome;
+  try {
+    outcome = await run();
+  } catch (error) {
+    await finish({ status: AuditStatus.FAILED, error: error.message });
+    throw error;
+  }
+
+  await finish({ status: AuditStatus.COMPLETED, outcome: outcomeOf(outcome) });
+  return { auditId: entry.auditId, outcome };
+}
+
+/**
+ * One page of a resource's audit entries, newest first. Resolves to
+ * `{ entries, lastEvaluatedKey }`.
+ */
+export async function listAuditEntries(ddbDocClient, resource, { limit, startKey }) {
+  const result = await ddbDocClient.send(new QueryCommand({
+    TableName: AUDIT_TABLE_NAME,
+    KeyConditionExpression: '#resource = :resource',
+    ExpressionAttributeNames: { '#resource': 'resource' },
+    ExpressionAttributeValues: { ':resource': resource },
+    ScanIndexForward: false,
+    Limit: limit,
+    ExclusiveStartKey: startKey
+  }));
+  return { entries: result.Items || [], lastEvaluatedKey: result.LastEvaluatedKey };
+}
@@ -0,0 +1,122 @@
+/**
+ * Bearer token authentication and order ownership.
+ *
+ * Requests carry a JWT in `Authorization: Bearer <token>`. The token is
+ * verified with keys from the first configured source:
+ *
+ *   JWKS_URL    remote JWKS, e.g. a Cognito user pool's /.well-known/jwks.json;
+ *               fetched on first use and cached per Lambda container
+ *   JWKS        the JWKS JSON itself
+ *   JWT_SECRET  a shared HS256 secret, for local testing only
+ *
+ * One of them must be set: httpHandler() checks when a handler is created, so
+ * a function deployed without a key source fails at startup with an
+ * AuthConfigError instead of answering every request with a 500.
+ *
+ * JWT_ISSUER and JWT_AUDIENCE are enforced when set. The token subject (`sub`)
+ * owns the orders it creates; roles come from the `roles` claim or Cognito
+ * groups, and ADMIN_ROLE may see and manage every order.
+ */
+
+import { TextEncoder } from 'node:util';
+import { URL } from 'node:url';
+import { createLocalJWKSet, createRemoteJWKSet, errors as joseErrors, jwtVerify } from 'jose';
+import { AppError, UnauthorizedError, UpstreamError } from './errors.mjs';
+
+export const ADMIN_ROLE = process.env.ADMIN_ROLE || 'admin';
+
+// JWKS keys are asymmetric; HS256 is only accepted with JWT_SECRET
+const JWKS_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512', 'EdDSA'];
+
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+// The deployment cannot verify bearer tokens; a server problem, not the caller's
+export class AuthConfigError extends AppError {
+  constructor(message) {
+    super(message, {
+      title: 'Invalid authentication configuration',
+      type: '/problems/invalid-auth-configuration'
+    });
+    this.name = 'AuthConfigError';
+  }
+}
+
+let verifier = null;
+
+function createVerifier() {
+  if (process.env.JWKS_URL) {
+    return { key: createRemoteJWKSet(new URL(process.env.JWKS_URL)), algorithms: JWKS_ALGORITHMS };
+  }
+  if (process.env.JWKS) {
+    let jwks;
+    try {
+      jwks = JSON.parse(process.env.JWKS);
+    } catch (_error) {
+      throw new AuthConfigError('JWKS is not valid JSON');
+    }
+    return { key: createLocalJWKSet(jwks), algorithms: JWKS_ALGORITHMS };
+  }
+  if (process.env.JWT_SECRET) {
+    return { key: new TextEncoder().encode(process.env.JWT_SECRET), algorithms: ['HS256'] };
+  }
+  throw new AuthConfigError('No JWKS_URL, JWKS or JWT_SECRET is configured to verify bearer tokens');
+}
+
+// Loads the keys bearer tokens are verified with; throws AuthConfigError without any
+export function assertAuthConfigured() {
+  verifier ??= createVerifier();
+}
+
+function toPrincipal(payload) {
+  const roles = [].concat(payload.roles ?? payload['cognito:groups'] ?? []);
+  return {
+    subject: payload.sub,
+    roles,
+    isAdmin: roles.includes(ADMIN_ROLE)
+  };
+}
+
+/**
+ * Verifies the bearer token in an Authorization header value and returns the
+ * caller as `{ subject, roles, isAdmin }`. Throws UnauthorizedError when the
+ * token is missing or invalid.
+ */
+export async function authenticate(authorization) {
+  if (!authorization) {
+    throw new UnauthorizedError('Authorization header with a Bearer token is required');
+  }
+  const [scheme, token, ...rest] = authorization.trim().split(/\s+/);
+  if (scheme.toLowerCase() !== 'bearer' || !token || rest.length > 0) {
+    throw new UnauthorizedError('Authorization header must be "Bearer <token>"', { error: 'invalid_request' });
+  }
+
+  assertAuthConfigured();
+
+  try {
+    const { payload } = await jwtVerify(token, verifier.key, {
+      algorithms: verifier.algorithms,
+      issuer: process.env.JWT_ISSUER || undefined,
+      audience: process.env.JWT_AUDIENCE || undefined,
+      requiredClaims: ['sub'],
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+    return toPrincipal(payload);
+  } catch (error) {
+    // The key server being slow or down is not the caller's fault
+    if (error instanceof joseErrors.JWKSTimeout || !(error instanceof joseErrors.JOSEError)) {
+      throw new UpstreamError('Signing keys could not be loaded. Please try again in a moment.', { cause: error });
+    }
+    const message = error instanceof joseErrors.JWTExpired ? 'The bearer token has expired' : 'The bearer token is invalid';
+    throw new UnauthorizedError(message, { error: 'invalid_token', cause: error });
+  }
+}
+
+// Admins see every order; customers only the orders they own
+export function canAccessOrder(principal, order) {
+  return principal.isAdmin || order.ownerId === principal.subject;
+}
+
+// Admins see every customer; other callers only the customers they created
+export function canAccessCustomer(principal, customer) {
+  return principal.isAdmin || customer.createdBy === principal.subject;
+}
@@ -0,0 +1,108 @@
+/**
+ * Product catalog lookups for order pricing.
+ *
+ * Clients only name a SKU and a quantity; the unit price, currency and product
+ * name are taken from the catalog at the moment the order is priced and copied
+ * onto the order as a snapshot, so later catalog changes don't alter it.
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import { BatchGetCommand } from '@aws-sdk/lib-dynamodb';
+import { resolveOrderCurrency } from './money.mjs';
+import { ValidationFailedError } from './errors.mjs';
+
+const PRODUCTS_TABLE_NAME = process.env.PRODUCTS_TABLE_NAME;
+
+// BatchGetItem accepts at most 100 keys per request
+const BATCH_GET_LIMIT = 100;
+const MAX_UNPROCESSED_RETRIES = 5;
+
+export const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// The distinct SKUs on an order, stored as `skus` so listings can filter by SKU
+export function orderSkus(items) {
+  return [...new Set(items.map(item => item.sku))];
+}
+
+export class CatalogLookupError extends ValidationFailedError {
+  constructor(problems) {
+    super(problems.map(({ index, sku, reason }) => ({
+      pointer: `/items/${index}/sku`,
+      message: `Item ${index}: sku ${sku} ${reason}`
+    })));
+    this.name = 'CatalogLookupError';
+    this.problems = problems;
+  }
+}
+
+// Fetches products by SKU, retrying keys DynamoDB leaves unprocessed
+export async function getProducts(ddbDocClient, skus) {
+  const products = new Map();
+  const uniqueSkus = [...new Set(skus)];
+
+  for (let start = 0; start < uniqueSkus.length; start += BATCH_GET_LIMIT) {
+    let requestItems = {
+      [PRODUCTS_TABLE_NAME]: {
+        Keys: uniqueSkus.slice(start, start + BATCH_GET_LIMIT).map(sku => ({ sku })),
+        ConsistentRead: true
+      }
+    };
+
+    for (let attempt = 0; requestItems; attempt++) {
+      if (attempt > MAX_UNPROCESSED_RETRIES) {
+        throw new Error('Product lookup did not complete: too many unprocessed keys');
+      }
+      if (attempt > 0) {
+        await sleep(50 * 2 ** attempt);
+      }
+
+      const result = await ddbDocClient.send(new BatchGetCommand({ RequestItems: requestItems }));
+      (result.Responses?.[PRODUCTS_TABLE_NAME] || []).forEach(product => products.set(product.sku, product));
+
+      const unprocessed = result.UnprocessedKeys?.[PRODUCTS_TABLE_NAME];
+      requestItems = unprocessed?.Keys?.length ? { [PRODUCTS_TABLE_NAME]: unprocessed } : null;
+    }
+  }
+
+  return products;
+}
+
+/**
+ * Resolves request items against the catalog.
+ * Returns the order currency and items carrying the catalog price snapshot
+ * (`unitPrice` in minor units). Throws CatalogLookupError for unknown or
+ * inactive SKUs and MixedCurrencyError when products don't share `currency`.
+ * `products` is a map from getProducts() already holding the items' SKUs,
+ * for callers pricing many orders at once.
+ */
+export async function priceOrderItems(ddbDocClient, items, { currency, products: preloaded } = {}) {
+  const products = preloaded ?? await getProducts(ddbDocClient, items.map(item => item.sku));
+
+  const problems = [];
+  items.forEach((item, index) => {
+    const product = products.get(item.sku);
+    if (!product) {
+      problems.push({ index, sku: item.sku, reason: 'is not in the product catalog' });
+    } else if (!product.active) {
+      problems.push({ index, sku: item.sku, reason: 'is no longer available' });
+    }
+  });
+  if (problems.length > 0) {
+    throw new CatalogLookupError(problems);
+  }
+
+  const orderCurrency = resolveOrderCurrency(currency, items.map(item => products.get(item.sku)));
+
+  return {
+    currency: orderCurrency,
+    items: items.map(item => {
+      const product = products.get(item.sku);
+      return {
+        sku: item.sku,
+        name: product.name,
+        qty: item.qty,
+        unitPrice: product.unitPrice
+      };
+    })
+  };
+}
@@ -0,0 +1,38 @@
+/**
+ * AWS SDK clients shared by every handler in a Lambda container.
+ *
+ * Created once at module load so warm invocations reuse their connections.
+ * S3_ENDPOINT points the S3 client at a local stand-in such as MinIO or
+ * LocalStack (with path-style URLs) when running outside AWS.
+ */
+
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+import { SQSClient } from '@aws-sdk/client-sqs';
+import { S3Client } from '@aws-sdk/client-s3';
+
+// Initialize AWS clients with latest v3 SDK
+const dynamoClient = new DynamoDBClient({
+  maxAttempts: 3,
+  retryMode: 'adaptive'
+});
+
+export const ddbDocClient = DynamoDBDocumentClient.from(dynamoClient, {
+  marshallOptions: {
+    removeUndefinedValues: true,
+    convertClassInstanceToMap: true
+  },
+  unmarshallOptions: {
+    wrapNumbers: false
+  }
+});
+
+export const sqsClient = new SQSClient({
+  maxAttempts: 3,
+  retryMode: 'adaptive'
+});
+
+export const s3Client = new S3Client({
+  maxAttempts: 3,
+  ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT, forcePathStyle: true })
+});
@@ -0,0 +1,73 @@
+/**
+ * Optimistic concurrency for orders.
+ *
+ * Every write bumps the order's numeric `version`. Clients see it as a strong
+ * ETag and send it back in If-Match; conditional writes compare it so a stale
+ * edit fails instead of silently overwriting a newer one. Orders written before
+ * versioning existed have no `version` attribute and count as version 0.
+ */
+
+import { ConflictError } from './errors.mjs';
+
+export function orderVersion(order) {
+  return typeof order?.version === 'number' ? order.version : 0;
+}
+
+export function etagFor(order) {
+  return `"${orderVersion(order)}"`;
+}
+
+/**
+ * Parses an If-Match header into an expected version.
+ * Returns null when the header is not a single strong ETag this API issued.
+ */
+export function parseIfMatch(value) {
+  const match = /^\s*"(\d+)"\s*$/.exec(value || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Update expression fragment that bumps the version; missing versions start from 0
+export const VERSION_INCREMENT = {
+  UpdateExpression: '#version = if_not_exists(#version, :zero) + :one',
+  ExpressionAttributeNames: { '#version': 'version' },
+  ExpressionAttributeValues: { ':zero': 0, ':one': 1 }
+};
+
+// Condition fragment requiring the stored version to equal `expected`
+export function versionCondition(expected) {
+  if (expected === 0) {
+    return {
+      ConditionExpression: '(attribute_not_exists(#version) OR #version = :expectedVersion)',
+      ExpressionAttributeNames: { '#version': 'version' },
+      ExpressionAttributeValues: { ':expectedVersion': 0 }
+    };
+  }
+  return {
+    ConditionExpression: '#version = :expectedVersion',
+    ExpressionAttributeNames: { '#version': 'version' },
+    ExpressionAttributeValues: { ':expectedVersion': expected }
+  };
+}
+
+// Read-check-write cycles tried before a busy order is reported as a conflict
+export const MAX_WRITE_ATTEMPTS = 3;
+
+// Resolved by an attempt whose conditional write found a newer version
+export const VERSION_CONFLICT = Symbol('versionConflict');
+
+/**
+ * Runs `attempt()` - a read of the order, checks against it and a write
+ * conditioned on the version read - until the write lands. An attempt
+ * resolves to VERSION_CONFLICT when the order changed in between; it then runs
+ * again against a fresh read, so its checks see the order's real state. Gives
+ * up with a retryable ConflictError after MAX_WRITE_ATTEMPTS.
+ */
+export async function retryOnVersionConflict(attempt, { orderId }) {
+  for (let attemptNumber = 1; attemptNumber <= MAX_WRITE_ATTEMPTS; attemptNumber++) {
+    const result = await attempt(attemptNumber);
+    if (result !== VERSION_CONFLICT) {
+      return result;
+    }
+  }
+  throw new ConflictError(`Order ${orderId} is being changed by another request. Please retry.`, { retryable: true });
+}
@@ -0,0 +1,180 @@
+/**
+ * Customers and customer-name deduplication.
+ *
+ * A customer belongs to the caller who created it (see canAccessCustomer()).
+ * Names are compared in a normalized form: case, accents, punctuation and
+ * legal suffixes are ignored, so "Acme", "ACME Inc" and "Acme, Inc." are one
+ * customer. Each creator's normalized names are claimed by
+ * `name#<creator>#<normalized name>` items in the customers table, written in
+ * the same transaction as the customer, so two requests racing to create the
+ * same customer cannot both succeed, and one caller's customers never block
+ * or reveal another's.
+ */
+
+import { v4 as uuid } from 'uuid';
+import { GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+import { ConflictError, ValidationFailedError } from './errors.mjs';
+import { isConditionFailure } from './orderStatus.mjs';
+import { canAccessCustomer } from './auth.mjs';
+
+const CUSTOMERS_TABLE_NAME = process.env.CUSTOMERS_TABLE_NAME;
+
+const NAME_CLAIM_PREFIX = 'name#';
+
+// Dropped from the end of a name, repeatedly ("Acme Holdings Ltd" keeps "holdings")
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'pvt', 'pty', 'private'
+]);
+
+// Names are only claimed per creator, so the existing customer is always the caller's own
+export class DuplicateCustomerError extends ConflictError {
+  constructor(customerId, name) {
+    super(`A customer named like "${name}" already exists${customerId ? `: ${customerId}` : ''}`, {
+      type: '/problems/duplicate-customer',
+      details: customerId ? { customerId } : {}
+    });
+    this.name = 'DuplicateCustomerError';
+    this.customerId = customerId;
+  }
+}
+
+/**
+ * Comparison form of a customer name. Names made only of a legal suffix
+ * ("Inc") keep it, and names with no Latin letters or digits are only
+ * lowercased, rather than normalizing to nothing.
+ */
+export function normalizeCustomerName(name) {
+  const words = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  if (words.length === 0) {
+    return name.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+}
+
+// The creator is encoded so a `#` in a token subject cannot run into the name
+function nameClaimId(createdBy, normalizedName) {
+  return `${NAME_CLAIM_PREFIX}${encodeURIComponent(createdBy)}#${normalizedName}`;
+}
+
+function buildCustomer({ name, email }, { createdBy }) {
+  const timestamp = new Date().toISOString();
+  return {
+    id: uuid(),
+    name: name.trim(),
+    normalizedName: normalizeCustomerName(name),
+    email,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    createdBy
+  };
+}
+
+/**
+ * TransactWrite items creating `customer`: its name claim first, then the
+ * customer itself. The claim fails its condition when the creator already has
+ * a customer with that name.
+ */
+export function customerTransactItems(customer) {
+  return [
+    {
+      Put: {
+        TableName: CUSTOMERS_TABLE_NAME,
+        Item: { id: nameClaimId(customer.createdBy, customer.normalizedName), customerId: customer.id },
+        ConditionExpression: 'attribute_not_exists(id)'
+      }
+    },
+    {
+      Put: {
+        TableName: CUSTOMERS_TABLE_NAME,
+        Item: customer,
+        ConditionExpression: 'attribute_not_exists(id)'
+      }
+    }
+  ];
+}
+
+// An order write lost the race to create its new customer; a retry finds that customer
+export function customerCreatedConcurrentlyError(customer, cause) {
+  return new ConflictError(`Customer "${customer.name}" was created by another request. Please retry.`, {
+    retryable: true,
+    cause
+  });
+}
+
+export async function getCustomer(ddbDocClient, customerId) {
+  const { Item: customer } = await ddbDocClient.send(new GetCommand({
+    TableName: CUSTOMERS_TABLE_NAME,
+    Key: { id: customerId },
+    ConsistentRead: true
+  }));
+  return customer ?? null;
+}
+
+// The customer of `createdBy` whose name normalizes like `name`, or null
+export async function findCustomerByName(ddbDocClient, name, { createdBy }) {
+  const { Item: claim } = await ddbDocClient.send(new GetCommand({
+    TableName: CUSTOMERS_TABLE_NAME,
+    Key: { id: nameClaimId(createdBy, normalizeCustomerName(name)) },
+    ConsistentRead: true
+  }));
+  return claim ? getCustomer(ddbDocClient, claim.customerId) : null;
+}
+
+/**
+ * Creates a customer owned by `createdBy`. Throws DuplicateCustomerError when
+ * that caller already has a customer with the same normalized name.
+ */
+export async function createCustomer(ddbDocClient, { name, email }, { createdBy }) {
+  const customer = buildCustomer({ name, email }, { createdBy });
+
+  try {
+    await ddbDocClient.send(new TransactWriteCommand({ TransactItems: customerTransactItems(customer) }));
+  } catch (error) {
+    if (!isConditionFailure(error, { transactIndex: 0 })) {
+      throw error;
+    }
+    const existing = await findCustomerByName(ddbDocClient, name, { createdBy });
+    throw new DuplicateCustomerError(existing?.id, name);
+  }
+
+  return customer;
+}
+
+/**
+ * The customer an order owned by `ownerId` belongs to, as `{ customer, isNew }`:
+ * the one named by `customerId`, which `principal` must be allowed to read,
+ * otherwise the owner's customer whose name matches `customerName`. A customer
+ * the caller may not read is reported exactly like a missing one.
+ *
+ * A new customer is only built here. The caller writes it with
+ * customerTransactItems() in the order's own transaction, so an order that is
+ * never written leaves no customer or name claim behind.
+ */
+export async function resolveOrderCustomer(ddbDocClient, { customerId, customerName }, { principal, ownerId }) {
+  if (customerId) {
+    const customer = await getCustomer(ddbDocClient, customerId);
+    if (!customer || !canAccessCustomer(principal, customer)) {
+      throw new ValidationFailedError({ pointer: '/customerId', message: `customerId ${customerId} does not match a customer` });
+    }
+    return { customer, isNew: false };
+  }
+
+  const existing = await findCustomerByName(ddbDocClient, customerName, { createdBy: ownerId });
+  if (existing) {
+    return { customer: existing, isNew: false };
+  }
+  return { customer: buildCustomer({ name: customerName }, { createdBy: ownerId }), isNew: true };
+}
@@ -0,0 +1,384 @@
+/**
+ * Inspection and redrive of the order events dead-letter queue.
+ *
+ * SQS cannot look a message up by ID, so every operation receives messages
+ * from the DLQ, holding them invisible for HOLD_SECONDS while it works, and
+ * releases whatever it leaves behind. The DLQ has no redrive policy of its
+ * own, so receiving a message there never moves it anywhere.
+ *
+ * Messages reach the DLQ two ways. Transient failures are retried by SQS
+ * and moved by the redrive policy once maxReceiveCount is used up; SQS does
+ * not record why, so the order processor stores its last failure per message
+ * ID (recordMessageFailure), which the message keeps in the DLQ. Permanent
+ * failures are parked (parkMessage): sent to the DLQ at once as a new message
+ * carrying the failure in its message attributes.
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import { BatchGetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import {
+  ChangeMessageVisibilityBatchCommand,
+  DeleteMessageBatchCommand,
+  GetQueueAttributesCommand,
+  ReceiveMessageCommand,
+  SendMessageBatchCommand,
+  SendMessageCommand,
+  StartMessageMoveTaskCommand
+} from '@aws-sdk/client-sqs';
+
+const QUEUE_URL = process.env.QUEUE_URL;
+const QUEUE_ARN = process.env.QUEUE_ARN;
+const DLQ_URL = process.env.DLQ_URL;
+const DLQ_ARN = process.env.DLQ_ARN;
+const MESSAGE_FAILURES_TABLE_NAME = process.env.MESSAGE_FAILURES_TABLE_NAME;
+
+// A day longer than the DLQ keeps messages (14 days)
+const FAILURE_RETENTION_SECONDS = 15 * 24 * 60 * 60;
+
+// Long enough for one API request; released messages reappear right away
+const HOLD_SECONDS = 60;
+
+// SQS batch APIs take at most 10 entries; BatchGetItem at most 100 keys
+const SQS_BATCH_LIMIT = 10;
+const BATCH_GET_LIMIT = 100;
+const MAX_UNPROCESSED_RETRIES = 5;
+
+// How many DLQ messages a search for selected IDs reads before giving up
+export const MAX_SCANNED_MESSAGES = 500;
+
+export const DeadLetterOutcome = Object.freeze({
+  REDRIVEN: 'REDRIVEN',
+  PURGED: 'PURGED',
+  FAILED: 'FAILED',
+  NOT_FOUND: 'NOT_FOUND'
+});
+
+export const FailureCategory = Object.freeze({
+  TRANSIENT: 'TRANSIENT',
+  PERMANENT: 'PERMANENT'
+});
+
+// Message attributes describing why a message was parked; dropped again on redrive
+const FAILURE_ATTRIBUTES = ['failureCategory', 'failureReason', 'failureCode', 'failedAt', 'originalMessageId'];
+
+// SQS allows 10 message attributes, so a parked message keeps at most 5 of its own
+const MAX_MESSAGE_ATTRIBUTES = 10;
+const MAX_REASON_LENGTH = 1024;
+
+// Outcomes that take the message out of the DLQ
+const REMOVED = [DeadLetterOutcome.REDRIVEN, DeadLetterOutcome.PURGED];
+
+function chunks(items, size) {
+  return Array.from({ length: Math.ceil(items.length / size) }, (_, index) =>
+    items.slice(index * size, (index + 1) * size));
+}
+
+/**
+ * Stores why the order processor failed an SQS record, replacing any earlier
+ * failure of the same message.
+ */
+export async function recordMessageFailure(ddbDocClient, record, { reason, errorCode, retryable = false }) {
+  const failedAt = new Date();
+  await ddbDocClient.send(new PutCommand({
+    TableName: MESSAGE_FAILURES_TABLE_NAME,
+    Item: {
+      messageId: record.messageId,
+      reason,
+      errorCode,
+      retryable,
+      receiveCount: parseInt(record.attributes?.ApproximateReceiveCount || '1', 10),
+      failedAt: failedAt.toISOString(),
+      expiresAt: Math.floor(failedAt.getTime() / 1000) + FAILURE_RETENTION_SECONDS
+    }
+  }));
+}
+
+/**
+ * Sends an SQS record the order processor cannot ever process straight to
+ * the DLQ, body and attributes unchanged, with the failure in message
+ * attributes. Resolves to the parked message's ID.
+ */
+export async function parkMessage(sqsClient, record, { reason, errorCode }) {
+  const ownAttributes = Object.entries(record.messageAttributes || {})
+    .filter(([name]) => !FAILURE_ATTRIBUTES.includes(name))
+    .slice(0, MAX_MESSAGE_ATTRIBUTES - FAILURE_ATTRIBUTES.length)
+    .map(([name, { dataType, stringValue, binaryValue }]) => [name, {
+      DataType: dataType,
+      ...(stringValue !== undefined && { StringValue: stringValue }),
+      ...(binaryValue !== undefined && { BinaryValue: Buffer.from(binaryValue, 'base64') })
+    }]);
+  const failureAttributes = {
+    failureCategory: FailureCategory.PERMANENT,
+    failureReason: String(reason).slice(0, MAX_REASON_LENGTH),
+    failureCode: errorCode || 'Unknown',
+    failedAt: new Date().toISOString(),
+    originalMessageId: record.messageId
+  };
+
+  const { MessageId } = await sqsClient.send(new SendMessageCommand({
+    QueueUrl: DLQ_URL,
+    MessageBody: record.body,
+    MessageAttributes: {
+      ...Object.fromEntries(ownAttributes),
+      ...Object.fromEntries(Object.entries(failureAttributes)
+        .map(([name, value]) => [name, { DataType: 'String', StringValue: value }]))
+    }
+  }));
+  return MessageId;
+}
+
+// Recorded failures by message ID, retrying keys DynamoDB leaves unprocessed
+export async function getMessageFailures(ddbDocClient, messageIds) {
+  const failures = new Map();
+
+  for (const keys of chunks(messageIds, BATCH_GET_LIMIT)) {
+    let requestItems = {
+      [MESSAGE_FAILURES_TABLE_NAME]: { Keys: keys.map(messageId => ({ messageId })) }
+    };
+
+    for (let attempt = 0; requestItems; attempt++) {
+      if (attempt > MAX_UNPROCESSED_RETRIES) {
+        throw new Error('Failure lookup did not complete: too many unprocessed keys');
+      }
+      if (attempt > 0) {
+        await sleep(50 * 2 ** attempt);
+      }
+
+      const result = await ddbDocClient.send(new BatchGetCommand({ RequestItems: requestItems }));
+      (result.Responses?.[MESSAGE_FAILURES_TABLE_NAME] || []).forEach(failure => failures.set(failure.messageId, failure));
+
+      const unprocessed = result.UnprocessedKeys?.[MESSAGE_FAILURES_TABLE_NAME];
+      requestItems = unprocessed?.Keys?.length ? { [MESSAGE_FAILURES_TABLE_NAME]: unprocessed } : null;
+    }
+  }
+
+  return failures;
+}
+
+// Approximate number of messages in the DLQ, including ones held by a reader
+export async function deadLetterCount(sqsClient) {
+  const { Attributes = {} } = await sqsClient.send(new GetQueueAttributesCommand({
+    QueueUrl: DLQ_URL,
+    AttributeNames: ['ApproximateNumberOfMessages', 'ApproximateNumberOfMessagesNotVisible']
+  }));
+  return parseInt(Attributes.ApproximateNumberOfMessages || '0', 10) +
+    parseInt(Attributes.ApproximateNumberOfMessagesNotVisible || '0', 10);
+}
+
+/**
+ * Receives up to `maxMessages` DLQ messages, stopping early once every ID in
+ * `messageIds` (when given) was seen or the queue has nothing more to return.
+ * The messages are held for HOLD_SECONDS; pass them to releaseDeadLetters()
+ * unless they are deleted.
+ */
+export async function receiveDeadLetters(sqsClient, { maxMessages = MAX_SCANNED_MESSAGES, messageIds } = {}) {
+  const wanted = messageIds && new Set(messageIds);
+  const received = new Map();
+  let found = 0;
+
+  while (received.size < maxMessages && (!wanted || found < wanted.size)) {
+    const { Messages = [] } = await sqsClient.send(new ReceiveMessageCommand({
+      QueueUrl: DLQ_URL,
+      MaxNumberOfMessages: Math.min(SQS_BATCH_LIMIT, maxMessages - received.size),
+      VisibilityTimeout: HOLD_SECONDS,
+      WaitTimeSeconds: 1,
+      MessageSystemAttributeNames: ['All'],
+      MessageAttributeNames: ['All']
+    }));
+    if (Messages.length === 0) {
+      break;
+    }
+
+    Messages.forEach(message => {
+      if (!received.has(message.MessageId) && wanted?.has(message.MessageId)) {
+        found += 1;
+      }
+      // A repeated delivery carries the receipt handle that is now valid
+      received.set(message.MessageId, message);
+    });
+  }
+
+  return [...received.values()];
+}
+
+// Makes held messages visible again; a handle that expired meanwhile is already released
+export async function releaseDeadLetters(sqsClient, messages) {
+  for (const batch of chunks(messages, SQS_BATCH_LIMIT)) {
+    await sqsClient.send(new ChangeMessageVisibilityBatchCommand({
+      QueueUrl: DLQ_URL,
+      Entries: batch.map((message, index) => ({
+        Id: String(index),
+        ReceiptHandle: message.ReceiptHandle,
+        VisibilityTimeout: 0
+      }))
+    }));
+  }
+}
+
+// Deletes held messages; resolves to a `{ messageId, status, reason }` per message
+export async function deleteDeadLetters(sqsClient, messages, { status = DeadLetterOutcome.PURGED } = {}) {
+  const results = [];
+  for (const batch of chunks(messages, SQS_BATCH_LIMIT)) {
+    const { Failed = [] } = await sqsClient.send(new DeleteMessageBatchCommand({
+      QueueUrl: DLQ_URL,
+      Entries: batch.map((message, index) => ({ Id: String(index), ReceiptHandle: message.ReceiptHandle }))
+    }));
+    const failures = new Map(Failed.map(failure => [failure.Id, failure]));
+
+    batch.forEach((message, index) => {
+      const failure = failures.get(String(index));
+      results.push(failure
+        ? { messageId: message.MessageId, status: DeadLetterOutcome.FAILED, reason: failure.Message || failure.Code }
+        : { messageId: message.MessageId, status });
+    });
+  }
+  return results;
+}
+
+// String and binary attributes as SendMessage accepts them, without a parked failure
+function toSendAttributes(messageAttributes = {}) {
+  return Object.fromEntries(Object.entries(messageAttributes)
+    .filter(([name]) => !FAILURE_ATTRIBUTES.includes(name))
+    .map(([name, { DataType, StringValue, BinaryValue }]) => [name, {
+      DataType,
+      ...(StringValue !== undefined && { StringValue }),
+      ...(BinaryValue !== undefined && { BinaryValue })
+    }]));
+}
+
+/**
+ * Sends held messages back to the order events queue, body and attributes
+ * unchanged, and deletes the ones that were sent from the DLQ. A message
+ * that was sent but could not be deleted is reported REDRIVEN with
+ * `stillInDlq`: it is processed again if redriven again, which consumers
+ * tolerate.
+ */
+export async function redriveDeadLetters(sqsClient, messages) {
+  const results = [];
+  for (const batch of chunks(messages, SQS_BATCH_LIMIT)) {
+    const { Successful = [], Failed = [] } = await sqsClient.send(new SendMessageBatchCommand({
+      QueueUrl: QUEUE_URL,
+      Entries: batch.map((message, index) => ({
+        Id: String(index),
+        MessageBody: message.Body,
+        MessageAttributes: toSendAttributes(message.MessageAttributes)
+      }))
+    }));
+
+    const sent = new Map(Successful.map(entry => [entry.Id, entry.MessageId]));
+    const sendFailures = new Map(Failed.map(failure => [failure.Id, failure]));
+    const sentMessages = batch.filter((_, index) => sent.has(String(index)));
+    const deletions = new Map((await deleteDeadLetters(sqsClient, sentMessages, { status: DeadLetterOutcome.REDRIVEN }))
+      .map(result => [result.messageId, result]));
+
+    batch.forEach((message, index) => {
+      const id = String(index);
+      if (!sent.has(id)) {
+        const failure = sendFailures.get(id);
+        results.push({ messageId: message.MessageId, status: DeadLetterOutcome.FAILED, reason: failure?.Message || failure?.Code });
+        return;
+      }
+      const deletion = deletions.get(message.MessageId);
+      results.push({
+        messageId: message.MessageId,
+        status: DeadLetterOutcome.REDRIVEN,
+        newMessageId: sent.get(id),
+        ...(deletion.status === DeadLetterOutcome.FAILED && { stillInDlq: true, reason: deletion.reason })
+      });
+    });
+  }
+  return results;
+}
+
+/**
+ * Finds the messages in `messageIds`, applies `act(messages)` to those found
+ * and releases everything else it received. `act` resolves to a result per
+ * message (see DeadLetterOutcome); IDs that were not found are reported
+ * NOT_FOUND, in the order they were asked for.
+ */
+export async function actOnDeadLetters(sqsClient, messageIds, act) {
+  const received = await receiveDeadLetters(sqsClient, { messageIds });
+  const wanted = new Set(messageIds);
+  const selected = received.filter(message => wanted.has(message.MessageId));
+
+  let results = [];
+  try {
+    results = await act(selected);
+  } finally {
+    const removed = new Set(results
+      .filter(result => REMOVED.includes(result.status) && !result.stillInDlq)
+      .map(result => result.messageId));
+    await releaseDeadLetters(sqsClient, received.filter(message => !removed.has(message.MessageId)));
+  }
+
+  const byId = new Map(results.map(result => [result.messageId, result]));
+  return messageIds.map(messageId => byId.get(messageId) ?? { messageId, status: DeadLetterOutcome.NOT_FOUND });
+}
+
+/**
+ * Starts an SQS message move task returning every DLQ message to the order
+ * events queue. SQS runs one task per queue at a time.
+ */
+export async function startDeadLetterRedrive(sqsClient) {
+  const { TaskHandle } = await sqsClient.send(new StartMessageMoveTaskCommand({
+    SourceArn: DLQ_ARN,
+    DestinationArn: QUEUE_ARN
+  }));
+  return TaskHandle;
+}
+
+function parseBody(body) {
+  try {
+    return { event: JSON.parse(body) };
+  } catch (error) {
+    return { event: null, parseError: error.message };
+  }
+}
+
+// The failure a parked message carries in its attributes
+function parkedFailure(messageAttributes) {
+  if (messageAttributes.failureCategory !== FailureCategory.PERMANENT) {
+    return null;
+  }
+  return {
+    category: FailureCategory.PERMANENT,
+    reason: messageAttributes.failureReason,
+    errorCode: messageAttributes.failureCode ?? null,
+    retryable: false,
+    failedAt: messageAttributes.failedAt,
+    originalMessageId: messageAttributes.originalMessageId
+  };
+}
+
+/**
+ * A received DLQ message as admins see it, with why it failed: from its own
+ * attributes when it was parked, else the processor's recorded `failure`.
+ */
+export function toDeadLetterResponse(message, failure) {
+  const { event, parseError } = parseBody(message.Body);
+  const attributes = message.Attributes || {};
+  const messageAttributes = Object.fromEntries(Object.entries(message.MessageAttributes || {})
+    .map(([name, { StringValue }]) => [name, StringValue]));
+  const parked = parkedFailure(messageAttributes);
+
+  return {
+    messageId: message.MessageId,
+    eventType: event?.type ?? messageAttributes.eventType ?? null,
+    orderId: event?.detail?.id ?? messageAttributes.orderId ?? null,
+    outboxEntryId: messageAttributes.outboxEntryId ?? null,
+    sentAt: attributes.SentTimestamp ? new Date(Number(attributes.SentTimestamp)).toISOString() : null,
+    receiveCount: parseInt(attributes.ApproximateReceiveCount || '0', 10),
+    event,
+    ...(parseError && { body: message.Body, parseError }),
+    failure: parked ?? (failure
+      ? {
+        category: failure.retryable ? FailureCategory.TRANSIENT : FailureCategory.PERMANENT,
+        reason: failure.reason,
+        errorCode: failure.errorCode ?? null,
+        retryable: failure.retryable,
+        receiveCount: failure.receiveCount,
+        failedAt: failure.failedAt
+      }
+      : null)
+  };
+}
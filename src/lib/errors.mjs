@@ -0,0 +1,217 @@
+/**
+ * Application error hierarchy.
+ *
+ * Every error the API reports on purpose is an AppError carrying its HTTP
+ * status, a short title, an RFC 7807 problem type and whether retrying the
+ * same operation may succeed. fromAwsError() translates AWS SDK v3 exceptions,
+ * which are identified by `error.name` (v2 used `error.code`), into this
+ * hierarchy so the HTTP layer and the order processor classify them the same way.
+ */
+
+export class AppError extends Error {
+  constructor(message, {
+    statusCode = 500,
+    title = 'Internal Server Error',
+    type = 'about:blank',
+    retryable = false,
+    expose = statusCode < 500,
+    headers = {},
+    details = {},
+    cause
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.title = title;
+    this.type = type;
+    this.retryable = retryable;
+    // Whether the message is safe to show to API clients
+    this.expose = expose;
+    this.headers = headers;
+    this.details = details;
+  }
+}
+
+// Normalizes a validation problem; plain strings apply to the whole request body
+function toFieldError(error) {
+  return typeof error === 'string' ? { pointer: '', message: error } : error;
+}
+
+/**
+ * `errors` are `{ pointer, message }` entries where `pointer` is a JSON Pointer
+ * into the request body (e.g. `/items/2/qty`), `{ parameter, message }`
+ * entries naming a path parameter, or plain strings.
+ */
+export class ValidationFailedError extends AppError {
+  constructor(errors, options = {}) {
+    const list = [].concat(errors).map(toFieldError);
+    super(list.map(error => error.message).join(', '), {
+      ...options,
+      statusCode: 400,
+      title: 'Validation failed',
+      type: '/problems/validation-failed'
+    });
+    this.name = 'ValidationFailedError';
+    this.errors = list;
+  }
+}
+
+// No valid bearer token; `error` is the RFC 6750 error code for WWW-Authenticate
+export class UnauthorizedError extends AppError {
+  constructor(message, { error, ...options } = {}) {
+    const challenge = error ? `Bearer error="${error}", error_description="${message}"` : 'Bearer';
+    super(message, {
+      ...options,
+      statusCode: 401,
+      title: 'Unauthorized',
+      type: '/problems/unauthorized',
+      headers: { 'WWW-Authenticate': challenge, ...options.headers }
+    });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, statusCode: 403, title: 'Forbidden', type: '/problems/forbidden' });
+    this.name = 'ForbiddenError';
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { ...options, statusCode: 404, title: 'Not Found', type: '/problems/not-found' });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { type: '/problems/conflict', ...options, statusCode: 409, title: 'Conflict' });
+    this.name = 'ConflictError';
+  }
+}
+
+export class ThrottledError extends AppError {
+  constructor(message = 'The service is currently busy. Please try again in a moment.', { retryAfterSeconds = 1, ...options } = {}) {
+    super(message, {
+      ...options,
+      statusCode: 429,
+      title: 'Too Many Requests',
+      type: '/problems/throttled',
+      retryable: true,
+      headers: { 'Retry-After': String(retryAfterSeconds), ...options.headers }
+    });
+    this.name = 'ThrottledError';
+  }
+}
+
+// A backing AWS service failed; `retryable` says whether it is worth trying again
+export class UpstreamError extends AppError {
+  constructor(message = 'A backing service is temporarily unavailable. Please try again in a moment.', { retryable = true, ...options } = {}) {
+    super(message, {
+      ...options,
+      statusCode: 503,
+      title: 'Service Unavailable',
+      type: '/problems/upstream-unavailable',
+      retryable,
+      expose: true
+    });
+    this.name = 'UpstreamError';
+  }
+}
+
+const THROTTLING_ERRORS = [
+  'ProvisionedThroughputExceededException',
+  'ThrottlingException',
+  'RequestLimitExceeded',
+  'TooManyRequestsException',
+  'RequestThrottled'
+];
+
+const TRANSIENT_ERRORS = [
+  'InternalServerError',
+  'InternalFailure',
+  'ServiceUnavailable',
+  'TimeoutError',
+  'RequestTimeout',
+  'TransactionInProgressException'
+];
+
+// Missing or inaccessible resources are deployment problems; retrying will not fix them
+const MISCONFIGURATION_ERRORS = [
+  'ResourceNotFoundException',
+  'AccessDeniedException',
+  'QueueDoesNotExist',
+  'AWS.SimpleQueueService.NonExistentQueue'
+];
+
+// Node socket and DNS errors (`error.code`) raised before any response arrived
+const NETWORK_ERRORS = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ERR_HTTP2_STREAM_ERROR'
+];
+
+// Cancellation reason codes of a TransactionCanceledException, most telling first
+const CANCELLATION_ERRORS = [
+  ['ThrottlingError', cause => new ThrottledError(undefined, { cause })],
+  ['ProvisionedThroughputExceeded', cause => new ThrottledError(undefined, { cause })],
+  ['RequestLimitExceeded', cause => new ThrottledError(undefined, { cause })],
+  ['TransactionConflict', cause => new ConflictError('The resource is being changed by another request. Please retry.', { retryable: true, cause })],
+  ['ConditionalCheckFailed', cause => new ConflictError('The resource was changed by another request', { cause })]
+];
+
+/**
+ * Translates an AWS SDK v3 exception into an AppError. AppErrors are returned
+ * unchanged; network errors are transient UpstreamErrors; other errors that
+ * are not AWS service errors return null.
+ */
+export function fromAwsError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const { name } = error;
+  if (THROTTLING_ERRORS.includes(name)) {
+    return new ThrottledError(undefined, { cause: error });
+  }
+  if (name === 'ConditionalCheckFailedException') {
+    return new ConflictError('The resource was changed by another request', { cause: error });
+  }
+  if (name === 'TransactionConflictException') {
+    return new ConflictError('The resource is being changed by another request. Please retry.', { retryable: true, cause: error });
+  }
+  if (name === 'TransactionCanceledException') {
+    const codes = (error.CancellationReasons || []).map(reason => reason.Code);
+    const [, toError] = CANCELLATION_ERRORS.find(([code]) => codes.includes(code)) || [];
+    return toError ? toError(error) : new AppError(error.message, { expose: false, cause: error });
+  }
+  if (MISCONFIGURATION_ERRORS.includes(name)) {
+    return new UpstreamError(undefined, { retryable: false, cause: error });
+  }
+  if (TRANSIENT_ERRORS.includes(name) || error.$retryable || error.$fault === 'server') {
+    return new UpstreamError(undefined, { cause: error });
+  }
+  if (NETWORK_ERRORS.includes(error.code) || (error.$metadata && !error.$metadata.httpStatusCode && !error.$fault)) {
+    // The request never got an answer (a socket reset, a DNS hiccup); it may on the next try
+    return new UpstreamError(undefined, { cause: error });
+  }
+  if (error.$fault === 'client') {
+    // A request we built is invalid (e.g. ValidationException); a bug, not the caller's fault
+    return new AppError(error.message, { expose: false, cause: error });
+  }
+  return null;
+}
+
+// True when retrying the failed operation may succeed
+export function isRetryable(error) {
+  return fromAwsError(error)?.retryable ?? false;
+}
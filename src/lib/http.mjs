@@ -0,0 +1,222 @@
+/**
+ * HTTP middleware shared by the API handlers.
+ *
+ * httpHandler() wraps a business function with everything an API Gateway
+ * handler needs around it: request ID propagation, request logging, bearer
+ * token authentication (see auth.mjs) or, where the operation allows it, a
+ * rate-limited partner API key (apiKeys.mjs), JSON body parsing, validation
+ * of path and query parameters and body against the operation's schemas in
+ * src/schemas/operations.mjs, response building with CORS headers,
+ * and mapping thrown errors to RFC 7807 `application/problem+json` responses
+ * through the AppError hierarchy in errors.mjs. The business function receives
+ * the validated request and returns `{ statusCode, headers, body }`; it
+ * reports failures by throwing.
+ */
+
+import { createLogger } from './logger.mjs';
+import { AppError, ForbiddenError, UnauthorizedError, fromAwsError } from './errors.mjs';
+import { ADMIN_ROLE, assertAuthConfigured, authenticate } from './auth.mjs';
+import { authenticateApiKey } from './apiKeys.mjs';
+import { takeToken } from './rateLimit.mjs';
+import { ddbDocClient } from './clients.mjs';
+import { validateRequest } from './schemaValidation.mjs';
+import { OPERATIONS } from '../schemas/index.mjs';
+
+export const CORS_HEADERS = Object.freeze({
+  'Access-Control-Allow-Origin': '*'
+});
+
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+const REQUEST_ID_PATTERN = /^[\x21-\x7e]{1,128}$/;
+
+/**
+ * An AppError for statuses outside the shared hierarchy (400, 412, 428...).
+ * `error` is the short title used as the problem title.
+ */
+export class HttpError extends AppError {
+  constructor(statusCode, error, message, { type, headers = {}, details = {} } = {}) {
+    super(message, { statusCode, title: error, type, headers, details });
+    this.name = 'HttpError';
+  }
+}
+
+// Case-insensitive header lookup; HTTP API lowercases names but direct invocations may not
+export function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+export function jsonResponse(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...CORS_HEADERS,
+      ...headers
+    },
+    // Pre-serialized bodies (e.g. replayed responses) pass through untouched
+    body: typeof body === 'string' || body === undefined ? body : JSON.stringify(body)
+  };
+}
+
+// Honor a caller-supplied X-Request-Id so one ID can follow a request across services
+function resolveRequestId(event, context) {
+  const incoming = getHeader(event.headers, 'x-request-id');
+  if (incoming && REQUEST_ID_PATTERN.test(incoming)) {
+    return incoming;
+  }
+  return event.requestContext?.requestId || context?.awsRequestId || 'unknown';
+}
+
+function parseJsonBody(event) {
+  if (event.body === undefined || event.body === null || event.body === '') {
+    return undefined;
+  }
+  const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  try {
+    return JSON.parse(raw);
+  } catch (_error) {
+    throw new HttpError(400, 'Invalid JSON format', 'Request body must be valid JSON', { type: '/problems/invalid-json' });
+  }
+}
+
+// AWS SDK exceptions are translated; anything else unrecognized is a bug
+function toAppError(error) {
+  return fromAwsError(error) || new AppError(error.message, { cause: error });
+}
+
+/**
+ * RFC 7807 problem details for a thrown error. Server errors hide their
+ * message unless the error says it is safe to expose.
+ */
+export function problemDetails(error, { instance }) {
+  const appError = toAppError(error);
+  const { statusCode, title, type, expose, details } = appError;
+  return {
+    type,
+    title,
+    status: statusCode,
+    detail: expose ? appError.message : 'An unexpected error occurred while processing your request',
+    instance,
+    ...(appError.errors && { errors: appError.errors }),
+    ...details
+  };
+}
+
+function problemResponse(error, { requestId, log }) {
+  const { statusCode, headers } = toAppError(error);
+
+  log(statusCode >= 500 ? 'error' : 'warn', statusCode >= 500 ? 'Unexpected error processing request' : 'Request failed', {
+    statusCode,
+    error: error.message,
+    errorCode: error.name,
+    ...(statusCode >= 500 && { stack: error.stack })
+  });
+
+  return jsonResponse(statusCode, problemDetails(error, { instance: requestId }), {
+    ...headers,
+    'Content-Type': PROBLEM_CONTENT_TYPE,
+    'X-Request-Id': requestId
+  });
+}
+
+// The body as far as rate limiting needs it; invalid JSON is rejected after authentication
+function peekJsonBody(event) {
+  try {
+    return parseJsonBody(event);
+  } catch (_error) {
+    return undefined;
+  }
+}
+
+// Partners are identified by their API key and throttled per key; a request
+// doing the work of several (a batch) takes one token for each
+async function authorizeApiKey(apiKey, operation, event) {
+  const partner = await authenticateApiKey(ddbDocClient, apiKey);
+  const cost = operation.rateLimitCost ? operation.rateLimitCost(peekJsonBody(event)) : 1;
+  await takeToken(ddbDocClient, `apiKey#${partner.apiKeyId}`, partner.rateLimit, { count: cost });
+  return partner;
+}
+
+// The caller, or null for public operations; admin-only operations reject everyone else
+async function authorize(operation, event) {
+  if (operation?.access === 'public') {
+    return null;
+  }
+
+  const apiKey = getHeader(event.headers, 'x-api-key');
+  if (apiKey !== undefined && operation?.apiKeys) {
+    return authorizeApiKey(apiKey, operation, event);
+  }
+  if (apiKey !== undefined && !getHeader(event.headers, 'authorization')) {
+    throw new UnauthorizedError('This operation does not accept API keys; send a Bearer token instead');
+  }
+
+  const principal = await authenticate(getHeader(event.headers, 'authorization'));
+  if (operation?.access === 'admin' && !principal.isAdmin) {
+    throw new ForbiddenError(`This operation requires the ${ADMIN_ROLE} role`);
+  }
+  return principal;
+}
+
+/**
+ * Builds a Lambda handler around `fn({ event, context, principal, body, params,
+ * query, headers, requestId, log })`. `fn` returns `{ statusCode = 200, headers, body }`.
+ * `functionName` is also the operation whose access level and schemas the
+ * request must satisfy; `principal` is the authenticated caller. Throws
+ * AuthConfigError when the operation needs bearer tokens and no key source
+ * is configured, so the function fails at startup.
+ */
+export function httpHandler(functionName, fn, { service } = {}) {
+  const baseLog = createLogger(functionName, { service });
+  const operation = OPERATIONS[functionName];
+  if (operation?.access !== 'public') {
+    assertAuthConfigured();
+  }
+
+  return async (event, context) => {
+    const requestId = resolveRequestId(event, context);
+    let log = baseLog.child({ requestId });
+
+    log('info', 'Processing request', {
+      httpMethod: event.requestContext?.http?.method ?? event.httpMethod,
+      path: event.rawPath ?? event.path
+    });
+
+    try {
+      const principal = await authorize(operation, event);
+      if (principal) {
+        log = log.child({ subject: principal.subject });
+      }
+
+      const body = parseJsonBody(event);
+      const params = event.pathParameters || {};
+      const query = event.queryStringParameters || {};
+      if (operation) {
+        validateRequest(operation, { params, query, body });
+      }
+
+      const result = await fn({
+        event,
+        context,
+        principal,
+        body,
+        params,
+        query,
+        headers: event.headers || {},
+        requestId,
+        log
+      });
+
+      const response = jsonResponse(result.statusCode ?? 200, result.body, {
+        ...result.headers,
+        'X-Request-Id': requestId
+      });
+      log('info', 'Request completed', { statusCode: response.statusCode });
+      return response;
+    } catch (error) {
+      return problemResponse(error, { requestId, log });
+    }
+  };
+}
@@ -0,0 +1,168 @@
+import { createHash } from 'node:crypto';
+import { GetCommand, PutCommand, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+import { getHeader } from './http.mjs';
+import { AppError, ConflictError } from './errors.mjs';
+
+/**
+ * Idempotency-Key support for write endpoints.
+ *
+ * The first request with a key claims it with a conditional put and stores a
+ * hash of its payload. When the request completes its response is saved on the
+ * record so retries with the same key and payload get the original response
+ * back; a retry with a different payload is refused. Records expire through
+ * DynamoDB TTL on `expiresAt`: completed ones after IDEMPOTENCY_TTL_SECONDS,
+ * claims still IN_PROGRESS after IDEMPOTENCY_LEASE_SECONDS. A claim outlives
+ * its request only when the function crashed or timed out, so the lease is
+ * the function timeout and the key can be claimed again once it has passed.
+ */
+
+const IDEMPOTENCY_TABLE_NAME = process.env.IDEMPOTENCY_TABLE_NAME;
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400', 10);
+const IDEMPOTENCY_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS || '30', 10);
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const RecordStatus = Object.freeze({
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED'
+});
+
+// Same key reused with a different request payload
+export class IdempotencyKeyMismatchError extends AppError {
+  constructor(key) {
+    super(`Idempotency-Key ${key} was already used with a different request payload`, {
+      statusCode: 422,
+      title: 'Unprocessable Entity',
+      type: '/problems/idempotency-key-reused'
+    });
+    this.name = 'IdempotencyKeyMismatchError';
+    this.key = key;
+  }
+}
+
+// Same key retried while the original request is still running
+export class IdempotencyKeyInProgressError extends ConflictError {
+  constructor(key) {
+    super(`A request with Idempotency-Key ${key} is still being processed`, {
+      type: '/problems/idempotency-key-in-progress',
+      retryable: true,
+      headers: { 'Retry-After': '1' }
+    });
+    this.name = 'IdempotencyKeyInProgressError';
+    this.key = key;
+  }
+}
+
+export function getIdempotencyKey(headers = {}) {
+  return getHeader(headers, 'idempotency-key');
+}
+
+export function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key);
+}
+
+// Serialize with sorted object keys so semantically equal payloads hash the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function hashRequest(payload) {
+  return createHash('sha256').update(canonicalize(payload)).digest('hex');
+}
+
+/**
+ * Claims `key` for a request. Resolves to `{ replay }` where `replay` is the
+ * stored response of a completed earlier request, or null when the caller owns
+ * the key and should process the request.
+ */
+export async function beginIdempotentRequest(ddbDocClient, { scope, key, requestHash }) {
+  const recordKey = `${scope}#${key}`;
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  try {
+    await ddbDocClient.send(new PutCommand({
+      TableName: IDEMPOTENCY_TABLE_NAME,
+      Item: {
+        idempotencyKey: recordKey,
+        requestHash,
+        status: RecordStatus.IN_PROGRESS,
+        createdAt: new Date().toISOString(),
+        expiresAt: nowSeconds + IDEMPOTENCY_LEASE_SECONDS
+      },
+      // TTL deletion is lazy, so treat expired records and lapsed claims as free
+      ConditionExpression: 'attribute_not_exists(idempotencyKey) OR expiresAt < :now',
+      ExpressionAttributeValues: { ':now': nowSeconds }
+    }));
+    return { replay: null };
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  const { Item: record } = await ddbDocClient.send(new GetCommand({
+    TableName: IDEMPOTENCY_TABLE_NAME,
+    Key: { idempotencyKey: recordKey },
+    ConsistentRead: true
+  }));
+
+  if (!record) {
+    // Released between our put and get; the client can simply retry
+    throw new IdempotencyKeyInProgressError(key);
+  }
+  if (record.requestHash !== requestHash) {
+    throw new IdempotencyKeyMismatchError(key);
+  }
+  if (record.status !== RecordStatus.COMPLETED) {
+    throw new IdempotencyKeyInProgressError(key);
+  }
+
+  return { replay: record.response };
+}
+
+/**
+ * TransactWrite item that stores the response so later retries can replay it.
+ * Committing it in the same transaction as the write it guards means a key is
+ * never left IN_PROGRESS for a request that actually succeeded.
+ */
+export function completeIdempotentRequestItem({ scope, key, response }) {
+  return {
+    Update: {
+      TableName: IDEMPOTENCY_TABLE_NAME,
+      Key: { idempotencyKey: `${scope}#${key}` },
+      UpdateExpression: 'SET #status = :completed, #response = :response, #completedAt = :completedAt, #expiresAt = :expiresAt',
+      ConditionExpression: '#status = :inProgress',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#response': 'response',
+        '#completedAt': 'completedAt',
+        '#expiresAt': 'expiresAt'
+      },
+      ExpressionAttributeValues: {
+        ':completed': RecordStatus.COMPLETED,
+        ':inProgress': RecordStatus.IN_PROGRESS,
+        ':response': { statusCode: response.statusCode, body: response.body },
+        ':completedAt': new Date().toISOString(),
+        // Kept for replays from here on, rather than for the claim's short lease
+        ':expiresAt': Math.floor(Date.now() / 1000) + IDEMPOTENCY_TTL_SECONDS
+      }
+    }
+  };
+}
+
+// Frees the key after a failed request so the client can retry it
+export async function releaseIdempotentRequest(ddbDocClient, { scope, key }) {
+  await ddbDocClient.send(new DeleteCommand({
+    TableName: IDEMPOTENCY_TABLE_NAME,
+    Key: { idempotencyKey: `${scope}#${key}` },
+    ConditionExpression: '#status = :inProgress',
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: { ':inProgress': RecordStatus.IN_PROGRESS }
+  }));
+}
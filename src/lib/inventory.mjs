@@ -0,0 +1,114 @@
+/**
+ * Stock reservations for orders.
+ *
+ * Each SKU has an inventory item with an `available` count and a `reserved`
+ * count. Reserving an order moves the quantity of every line from available to
+ * reserved inside the same transaction that moves the order forward, so either
+ * all lines are reserved or none are. Cancelling or rejecting the order moves
+ * the quantities back, again in the transaction that changes its status.
+ */
+
+const INVENTORY_TABLE_NAME = process.env.INVENTORY_TABLE_NAME;
+
+export const ReservationStatus = Object.freeze({
+  RESERVED: 'RESERVED',
+  RELEASED: 'RELEASED'
+});
+
+// One reservation line per SKU; a transaction may touch each inventory item only once
+export function reservationLines(items = []) {
+  const quantities = new Map();
+  items.forEach(item => quantities.set(item.sku, (quantities.get(item.sku) || 0) + item.qty));
+  return [...quantities].map(([sku, qty]) => ({ sku, qty }));
+}
+
+// TransactWrite items that take `lines` out of available stock, failing if any line is short
+export function reserveStockItems(lines) {
+  return lines.map(({ sku, qty }) => ({
+    Update: {
+      TableName: INVENTORY_TABLE_NAME,
+      Key: { sku },
+      UpdateExpression: 'SET #updatedAt = :updatedAt ADD #available :take, #reserved :qty',
+      ConditionExpression: '#available >= :qty',
+      ExpressionAttributeNames: {
+        '#available': 'available',
+        '#reserved': 'reserved',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: {
+        ':qty': qty,
+        ':take': -qty,
+        ':updatedAt': new Date().toISOString()
+      },
+      ReturnValuesOnConditionCheckFailure: 'ALL_OLD'
+    }
+  }));
+}
+
+// TransactWrite items that return a reservation's quantities to available stock
+export function releaseStockItems(reservation) {
+  return reservation.lines.map(({ sku, qty }) => ({
+    Update: {
+      TableName: INVENTORY_TABLE_NAME,
+      Key: { sku },
+      UpdateExpression: 'SET #updatedAt = :updatedAt ADD #available :qty, #reserved :give',
+      ExpressionAttributeNames: {
+        '#available': 'available',
+        '#reserved': 'reserved',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: {
+        ':qty': qty,
+        ':give': -qty,
+        ':updatedAt': new Date().toISOString()
+      }
+    }
+  }));
+}
+
+export function hasActiveReservation(order) {
+  return order?.reservation?.status === ReservationStatus.RESERVED;
+}
+
+/**
+ * Update expression fragment marking the order's reservation as released.
+ * Pair it with releaseStockItems() in the same transaction.
+ */
+export function reservationReleaseUpdate(timestamp) {
+  return {
+    UpdateExpression: '#reservation.#reservationStatus = :reservationReleased, #reservation.#releasedAt = :releasedAt',
+    ExpressionAttributeNames: {
+      '#reservation': 'reservation',
+      '#reservationStatus': 'status',
+      '#releasedAt': 'releasedAt'
+    },
+    ExpressionAttributeValues: {
+      ':reservationReleased': ReservationStatus.RELEASED,
+      ':releasedAt': timestamp
+    }
+  };
+}
+
+/**
+ * Lines whose reservation failed in a cancelled transaction. Inventory items
+ * must start at `offset` in the transaction, in the order of `lines`. A SKU
+ * without an inventory item counts as out of stock and not backorderable.
+ */
+export function stockShortfall(error, lines, { offset = 0 } = {}) {
+  if (error.name !== 'TransactionCanceledException') {
+    return [];
+  }
+
+  return lines.flatMap((line, index) => {
+    const reason = error.CancellationReasons?.[offset + index];
+    if (reason?.Code !== 'ConditionalCheckFailed') {
+      return [];
+    }
+    return [{
+      sku: line.sku,
+      requested: line.qty,
+      available: Number(reason.Item?.available?.N ?? 0),
+      backorderable: reason.Item?.backorderable?.BOOL === true
+    }];
+  });
+}
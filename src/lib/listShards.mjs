@@ -0,0 +1,119 @@
+/**
+ * Time-ordered listing of every order.
+ *
+ * Each order is written with a `listShard` (orders#0 ... orders#7, derived
+ * from its ID) and the CreatedAtIndex GSI sorts each shard by `createdAt`.
+ * Spreading orders over a few shards keeps any one index partition from
+ * taking every write, and a page is still globally sorted: every shard is
+ * queried in order and the results are merged, taking the next order across
+ * all shards until the page is full.
+ *
+ * The cursor records, per shard, the key of the last order handed out or
+ * skipped by the filter (so the next page resumes right after it) or null once
+ * the shard is exhausted; shards missing from the cursor have not contributed
+ * yet and start from the beginning.
+ *
+ * With a filter a shard can stop short of a full page without being exhausted.
+ * Its next match may sort before orders other shards returned, so the merge
+ * stops at that shard's last examined key and leaves the rest for the next
+ * page; a page can therefore hold fewer orders than the limit.
+ */
+
+import { QueryCommand } from '@aws-sdk/lib-dynamodb';
+
+const TABLE_NAME = process.env.TABLE_NAME;
+
+// Orders keep their shard forever: the count may grow but must never shrink
+export const LIST_SHARD_COUNT = 8;
+
+const SHARDS = Array.from({ length: LIST_SHARD_COUNT }, (_, index) => `orders#${index}`);
+
+// Order IDs are random UUIDs, so their last digits spread orders evenly
+export function listShardFor(orderId) {
+  return SHARDS[parseInt(orderId.replace(/-/g, '').slice(-8), 16) % LIST_SHARD_COUNT];
+}
+
+function compareOrders(a, b, sortOrder) {
+  const order = a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id);
+  return sortOrder === 'asc' ? order : -order;
+}
+
+function indexKeyOf(order) {
+  return { id: order.id, listShard: order.listShard, createdAt: order.createdAt };
+}
+
+// `keyCondition` narrows createdAt; `filter` is applied to the orders read
+async function queryShard(ddbDocClient, shard, { limit, sortOrder, startKey, keyCondition, filter }) {
+  const result = await ddbDocClient.send(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'CreatedAtIndex',
+    KeyConditionExpression: ['#listShard = :listShard', keyCondition?.expression].filter(Boolean).join(' AND '),
+    ExpressionAttributeNames: { '#listShard': 'listShard', ...keyCondition?.names, ...filter?.names },
+    ExpressionAttributeValues: { ':listShard': shard, ...keyCondition?.values, ...filter?.values },
+    ...(filter && { FilterExpression: filter.expression }),
+    Limit: limit,
+    ScanIndexForward: sortOrder === 'asc',
+    ...(startKey && { ExclusiveStartKey: startKey })
+  }));
+  return { shard, items: result.Items || [], lastEvaluatedKey: result.LastEvaluatedKey };
+}
+
+// The next order to hand out, or null when the page must end here
+function nextInOrder(pages, heads, sortOrder) {
+  let next = -1;
+  pages.forEach((page, index) => {
+    const candidate = page.items[heads[index]];
+    if (candidate && (next < 0 || compareOrders(candidate, pages[next].items[heads[next]], sortOrder) < 0)) {
+      next = index;
+    }
+  });
+  if (next < 0) {
+    return null;
+  }
+
+  // A shard that has handed out everything it read but has more may hold an earlier match
+  const candidate = pages[next].items[heads[next]];
+  const blocked = pages.some((page, index) => heads[index] === page.items.length &&
+    page.lastEvaluatedKey && compareOrders(candidate, page.lastEvaluatedKey, sortOrder) > 0);
+  return blocked ? null : next;
+}
+
+/**
+ * One page of orders sorted by `createdAt` across all shards. `cursor` is the
+ * value returned with the previous page; `keyCondition` and `filter` are
+ * `{ expression, names, values }` fragments narrowing createdAt and filtering
+ * the orders read. Resolves to `{ orders, cursor }`; `cursor` is null on the
+ * last page.
+ */
+export async function listOrdersByCreatedAt(ddbDocClient, { limit, sortOrder, cursor = {}, keyCondition, filter }) {
+  // Any one shard may hold the whole page, so each is asked for a full page
+  const pending = SHARDS.filter(shard => cursor[shard] !== null);
+  const pages = await Promise.all(pending.map(shard =>
+    queryShard(ddbDocClient, shard, { limit, sortOrder, startKey: cursor[shard], keyCondition, filter })));
+
+  const orders = [];
+  const heads = pages.map(() => 0);
+  while (orders.length < limit) {
+    const next = nextInOrder(pages, heads, sortOrder);
+    if (next === null) {
+      break;
+    }
+    orders.push(pages[next].items[heads[next]]);
+    heads[next] += 1;
+  }
+
+  const nextCursor = { ...cursor };
+  let hasMore = false;
+  pages.forEach((page, index) => {
+    const consumedAll = heads[index] === page.items.length;
+    if (consumedAll) {
+      // Everything up to the last examined key was handed out or filtered away
+      nextCursor[page.shard] = page.lastEvaluatedKey ?? null;
+    } else if (heads[index] > 0) {
+      nextCursor[page.shard] = indexKeyOf(page.items[heads[index] - 1]);
+    }
+    hasMore = hasMore || !consumedAll || !!page.lastEvaluatedKey;
+  });
+
+  return { orders, cursor: hasMore ? nextCursor : null };
+}
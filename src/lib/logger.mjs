@@ -0,0 +1,24 @@
+/**
+ * Structured JSON logging.
+ *
+ * Every entry carries the service and function name; `child()` returns a
+ * logger that adds fixed context (such as the request ID) to every entry.
+ */
+
+export function createLogger(functionName, { service = 'order-service', ...context } = {}) {
+  const log = (level, message, metadata = {}) => {
+    const logEntry = {
+      timestamp: new Date().toISOString(),
+      level: level.toUpperCase(),
+      service,
+      function: functionName,
+      message,
+      ...context,
+      ...metadata
+    };
+    console.log(JSON.stringify(logEntry));
+  };
+
+  log.child = (extra) => createLogger(functionName, { service, ...context, ...extra });
+  return log;
+}
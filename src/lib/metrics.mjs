@@ -0,0 +1,30 @@
+/**
+ * CloudWatch metrics in the Embedded Metric Format.
+ *
+ * A metrics entry is a JSON log line that CloudWatch Logs turns into metrics,
+ * so publishing takes no API call and no extra permissions. Dimensions should
+ * have few distinct values; put anything else in `properties`, which is kept
+ * with the log line but does not create metrics.
+ */
+
+const NAMESPACE = process.env.METRICS_NAMESPACE || 'ServerlessOrders';
+
+/**
+ * Emits `metrics` ({ name: value }) with one set of `dimensions`
+ * ({ name: value }); every metric uses `unit`.
+ */
+export function emitMetrics(metrics, { dimensions = {}, properties = {}, unit = 'Count' } = {}) {
+  console.log(JSON.stringify({
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: NAMESPACE,
+        Dimensions: [Object.keys(dimensions)],
+        Metrics: Object.keys(metrics).map(name => ({ Name: name, Unit: unit }))
+      }]
+    },
+    ...properties,
+    ...dimensions,
+    ...metrics
+  }));
+}
@@ -0,0 +1,111 @@
+/**
+ * Money handling for orders.
+ *
+ * Amounts are stored as integers in the currency's minor unit (cents for USD,
+ * whole yen for JPY) next to an ISO 4217 currency code, so totals never go
+ * through floating-point arithmetic. Line totals, subtotal, tax and grand total
+ * are computed once when an order is priced and persisted on the order.
+ */
+
+import { ValidationFailedError } from './errors.mjs';
+
+export const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'USD';
+
+// Tax rate in basis points (825 = 8.25%)
+export const TAX_RATE_BPS = parseInt(process.env.TAX_RATE_BPS || '0', 10);
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+export class MixedCurrencyError extends ValidationFailedError {
+  constructor(currencies) {
+    super({ pointer: '/currency', message: `An order must use a single currency, got ${currencies.join(', ')}` });
+    this.name = 'MixedCurrencyError';
+    this.currencies = currencies;
+  }
+}
+
+export function isSupportedCurrency(code) {
+  return typeof code === 'string' && SUPPORTED_CURRENCIES.has(code);
+}
+
+// Number of decimal places in the currency's minor unit
+export function currencyExponent(currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Converts a decimal amount in major units (e.g. 19.99) to integer minor units.
+ * Returns null when the amount carries more precision than the currency allows.
+ */
+export function toMinorUnits(amount, currency) {
+  const factor = 10 ** currencyExponent(currency);
+  const minor = Math.round(amount * factor);
+  return Math.abs(minor - amount * factor) < 1e-6 ? minor : null;
+}
+
+// Major-unit number for display only; never feed it back into arithmetic
+export function toMajorUnits(minor, currency) {
+  return minor / 10 ** currencyExponent(currency);
+}
+
+export function formatMoney(minor, currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).format(toMajorUnits(minor, currency));
+}
+
+// Single currency shared by the order and all its items
+export function resolveOrderCurrency(orderCurrency, items = []) {
+  const currencies = [...new Set([orderCurrency, ...items.map(item => item.currency)].filter(Boolean))];
+  if (currencies.length > 1) {
+    throw new MixedCurrencyError(currencies);
+  }
+  return currencies[0] || DEFAULT_CURRENCY;
+}
+
+// Half-up rounding of amount * bps / 10000 in integer arithmetic
+function applyBasisPoints(amount, bps) {
+  return Math.floor((amount * bps + 5000) / 10000);
+}
+
+/**
+ * Prices items whose `unitPrice` is already in minor units and returns the
+ * stored line items plus the order totals.
+ */
+export function computeTotals(items, { currency, taxRateBps = TAX_RATE_BPS }) {
+  const pricedItems = items.map(item => ({
+    ...item,
+    currency,
+    lineTotal: item.unitPrice * item.qty
+  }));
+
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.lineTotal, 0);
+  const tax = applyBasisPoints(subtotal, taxRateBps);
+
+  return {
+    items: pricedItems,
+    totals: {
+      currency,
+      subtotal,
+      taxRateBps,
+      tax,
+      total: subtotal + tax
+    }
+  };
+}
+
+/**
+ * Totals of a stored order. Orders created before money handling existed only
+ * carry float `price` per item; those are converted line by line.
+ */
+export function orderTotals(order) {
+  if (order.totals) {
+    return order.totals;
+  }
+
+  const currency = DEFAULT_CURRENCY;
+  const legacyItems = (order.items || []).map(item => ({
+    sku: item.sku,
+    qty: item.qty || 0,
+    unitPrice: Math.round((item.price || 0) * 10 ** currencyExponent(currency))
+  }));
+  return computeTotals(legacyItems, { currency, taxRateBps: 0 }).totals;
+}
@@ -0,0 +1,166 @@
+/**
+ * OpenAPI 3.1 document generated from src/schemas.
+ *
+ * Paths come from the operation table and components from the named schemas,
+ * the same objects httpHandler() validates requests against, so the published
+ * contract cannot drift from what the API enforces. Success responses are
+ * wrapped in the `{ success, data, message }` envelope unless the operation
+ * opts out; errors are RFC 7807 problem details. Operations need a bearer
+ * token unless they are public; some also accept a partner API key.
+ */
+
+import { readFileSync } from 'node:fs';
+import { URL } from 'node:url';
+import { COMMON_PROBLEMS, OPERATIONS, SCHEMAS } from '../schemas/index.mjs';
+import { PROBLEM_CONTENT_TYPE } from './http.mjs';
+import { ADMIN_ROLE } from './auth.mjs';
+
+const PACKAGE_URL = new URL('../../package.json', import.meta.url);
+
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted; the work continues in the background',
+  400: 'The request is malformed or fails validation',
+  401: 'The bearer token or API key is missing or invalid',
+  403: 'The caller lacks the role the operation requires',
+  404: 'The resource does not exist',
+  409: 'The request conflicts with the current state of the resource',
+  412: 'If-Match does not match the current version',
+  422: 'The Idempotency-Key was used with a different request',
+  428: 'If-Match is required',
+  429: 'Too many requests; retry after Retry-After seconds',
+  500: 'Unexpected server error',
+  503: 'A backing service is unavailable'
+};
+
+const REQUEST_ID_HEADER = { 'X-Request-Id': { $ref: '#/components/headers/RequestId' } };
+
+function schemaRef(schema) {
+  return typeof schema === 'string' ? { $ref: `#/components/schemas/${schema}` } : schema;
+}
+
+function successSchema(schema, { envelope = true }) {
+  if (!envelope) {
+    return schemaRef(schema);
+  }
+  return {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { const: true },
+      data: schemaRef(schema),
+      message: { type: 'string' }
+    }
+  };
+}
+
+function parametersOf(operation) {
+  const path = Object.entries(operation.pathParameters || {})
+    .map(([name, schema]) => ({ name, in: 'path', required: true, schema: schemaRef(schema) }));
+  const query = Object.entries(operation.query || {})
+    .map(([name, { schema, description }]) => ({ name, in: 'query', description, schema }));
+  const headers = Object.entries(operation.headers || {})
+    .map(([name, { schema, required = false, description }]) => ({ name, in: 'header', required, description, schema }));
+  return [...path, ...query, ...headers];
+}
+
+function responsesOf(operation) {
+  const responseHeaders = Object.fromEntries(Object.entries(operation.responseHeaders || {})
+    .map(([name, description]) => [name, { description, schema: { type: 'string' } }]));
+
+  const responses = {};
+  Object.entries(operation.responses).forEach(([status, schema]) => {
+    responses[status] = {
+      description: STATUS_DESCRIPTIONS[status],
+      headers: { ...REQUEST_ID_HEADER, ...responseHeaders },
+      content: {
+        'application/json': { schema: successSchema(schema, operation) },
+        ...Object.fromEntries(Object.entries(operation.responseMediaTypes?.[status] || {})
+          .map(([mediaType, mediaSchema]) => [mediaType, { schema: mediaSchema }]))
+      }
+    };
+  });
+
+  const accessProblems = { public: [], admin: [401, 403] }[operation.access] ?? [401];
+
+  // An operation's own response for a status (e.g. an unhealthy 503) wins over the problem
+  [...(operation.problems || []), ...accessProblems, ...COMMON_PROBLEMS]
+    .filter(status => !responses[status])
+    .forEach(status => {
+      responses[status] = {
+        description: STATUS_DESCRIPTIONS[status],
+        headers: REQUEST_ID_HEADER,
+        content: { [PROBLEM_CONTENT_TYPE]: { schema: schemaRef('Problem') } }
+      };
+    });
+
+  return responses;
+}
+
+function operationObject(operationId, operation) {
+  const parameters = parametersOf(operation);
+  const description = [
+    operation.access === 'admin' && `Requires the ${ADMIN_ROLE} role.`,
+    operation.description
+  ].filter(Boolean).join(' ');
+  return {
+    operationId,
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(description && { description }),
+    ...(operation.access === 'public' && { security: [] }),
+    ...(operation.apiKeys && { security: [{ bearerAuth: [] }, { apiKeyAuth: [] }] }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(operation.requestBody && {
+      requestBody: {
+        required: operation.requestBody.required !== false,
+        content: { 'application/json': { schema: schemaRef(operation.requestBody.schema) } }
+      }
+    }),
+    responses: responsesOf(operation)
+  };
+}
+
+/**
+ * Builds the OpenAPI document. `serverUrl` is the API's base URL when known
+ * (API Gateway reports the domain the request came in on).
+ */
+export function buildOpenApiDocument({ serverUrl } = {}) {
+  const { version, description } = JSON.parse(readFileSync(PACKAGE_URL, 'utf8'));
+
+  const paths = {};
+  Object.entries(OPERATIONS).forEach(([operationId, operation]) => {
+    paths[operation.path] = {
+      ...paths[operation.path],
+      [operation.method.toLowerCase()]: operationObject(operationId, operation)
+    };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Orders API', version, description },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    tags: [...new Set(Object.values(OPERATIONS).map(operation => operation.tag))].map(name => ({ name })),
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Partner API key issued through POST /api-keys; requests are rate limited per key'
+        }
+      },
+      headers: {
+        RequestId: {
+          description: 'ID of the request; a valid X-Request-Id sent by the client is echoed back',
+          schema: { type: 'string' }
+        }
+      }
+    }
+  };
+}
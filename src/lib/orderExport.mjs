@@ -0,0 +1,189 @@
+/**
+ * Order exports as CSV or NDJSON.
+ *
+ * CSV has one row per line item with the order's fields repeated on each (an
+ * order without items still gets a row), amounts as decimals in major units.
+ * NDJSON has one order per line, as the API returns it, items included.
+ *
+ * Orders are read a page at a time and written out as they arrive. Small
+ * exports are returned inline; once the output passes `inlineMaxBytes` it is
+ * streamed to S3 as a multipart upload instead and a presigned download URL
+ * is returned. The clients are passed in, so the same code runs against a
+ * local S3 stand-in (see S3_ENDPOINT in clients.mjs).
+ */
+
+import { once } from 'node:events';
+import { PassThrough } from 'node:stream';
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { currencyExponent, orderTotals } from './money.mjs';
+import { fetchOrderPage } from './orderListing.mjs';
+
+const PAGE_SIZE = 100;
+
+const CSV_COLUMNS = [
+  'orderId', 'createdAt', 'updatedAt', 'status', 'ownerId', 'partnerId', 'customerId', 'customerName',
+  'currency', 'subtotal', 'tax', 'total', 'lineNumber', 'sku', 'productName', 'qty', 'unitPrice', 'lineTotal'
+];
+
+// Spreadsheets run cells starting with these as formulas; negative numbers are left alone
+const FORMULA_PREFIX = /^([=+@\t\r]|-(?![\d.]))/;
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function decimal(minor, currency) {
+  const exponent = currencyExponent(currency);
+  return (minor / 10 ** exponent).toFixed(exponent);
+}
+
+function csvRows(order) {
+  const totals = orderTotals(order);
+  const { currency } = totals;
+  const exponent = currencyExponent(currency);
+  const orderFields = [
+    order.id, order.createdAt, order.updatedAt, order.status, order.ownerId, order.partnerId,
+    order.customerId, order.customerName, currency,
+    decimal(totals.subtotal, currency), decimal(totals.tax, currency), decimal(totals.total, currency)
+  ];
+
+  const items = order.items?.length ? order.items : [null];
+  return items.map((item, index) => {
+    if (!item) {
+      return orderFields.map(csvField).join(',') + ',,,,,,\r\n';
+    }
+    // Orders from before catalog pricing carry a float `price` instead of minor units
+    const unitPrice = item.unitPrice ?? Math.round((item.price || 0) * 10 ** exponent);
+    const lineTotal = item.lineTotal ?? unitPrice * (item.qty || 0);
+    return [
+      ...orderFields,
+      index + 1, item.sku, item.name, item.qty, decimal(unitPrice, currency), decimal(lineTotal, currency)
+    ].map(csvField).join(',') + '\r\n';
+  }).join('');
+}
+
+// Stored orders without the attributes only indexes use
+function toExportedOrder({ listShard: _listShard, skus: _skus, ...order }) {
+  return { ...order, totals: orderTotals(order) };
+}
+
+export const EXPORT_FORMATS = Object.freeze({
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: `${CSV_COLUMNS.join(',')}\r\n`,
+    render: csvRows
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    header: '',
+    render: order => `${JSON.stringify(toExportedOrder(order))}\n`
+  }
+});
+
+// Buffers output until it passes `inlineMaxBytes`, then streams it all to S3
+function exportSink({ s3Client, bucket, key, contentType, inlineMaxBytes }) {
+  const chunks = [];
+  let bytes = 0;
+  let stream = null;
+  let upload = null;
+  let uploaded = null;
+
+  function startUpload() {
+    stream = new PassThrough();
+    upload = new Upload({
+      client: s3Client,
+      params: { Bucket: bucket, Key: key, Body: stream, ContentType: contentType }
+    });
+    uploaded = upload.done();
+    // Failures surface when the export next writes or finishes
+    uploaded.catch(() => {});
+    chunks.splice(0).forEach(chunk => stream.write(chunk));
+  }
+
+  return {
+    async write(text) {
+      bytes += Buffer.byteLength(text);
+      if (!stream) {
+        chunks.push(text);
+        if (bytes > inlineMaxBytes) {
+          startUpload();
+        }
+        return;
+      }
+      if (!stream.write(text)) {
+        // A failed upload stops reading, so don't wait for 'drain' alone
+        await Promise.race([once(stream, 'drain'), uploaded]);
+      }
+    },
+
+    // `{ bytes, body }` for an inline export, `{ bytes }` once the upload completed
+    async finish() {
+      if (!stream) {
+        return { bytes, body: chunks.join('') };
+      }
+      stream.end();
+      await uploaded;
+      return { bytes };
+    },
+
+    async abort() {
+      await upload?.abort().catch(() => {});
+    }
+  };
+}
+
+/**
+ * Exports every order of a listing planned by planOrderListing(). Resolves to
+ * `{ orderCount, bytes, body }` when the export fits `inlineMaxBytes`, else to
+ * `{ orderCount, bytes, url, expiresAt }` with a presigned URL for the object
+ * written to `bucket` under `key`, downloaded as `filename`.
+ */
+export async function exportOrders({ ddbDocClient, s3Client }, plan, {
+  format,
+  bucket,
+  key,
+  filename,
+  inlineMaxBytes,
+  urlExpiresInSeconds
+}) {
+  const { contentType, header, render } = EXPORT_FORMATS[format];
+  const sink = exportSink({ s3Client, bucket, key, contentType, inlineMaxBytes });
+
+  let orderCount = 0;
+  let result;
+  try {
+    await sink.write(header);
+
+    let startKey;
+    do {
+      const page = await fetchOrderPage(ddbDocClient, plan, { limit: PAGE_SIZE, startKey });
+      await sink.write(page.orders.map(render).join(''));
+      orderCount += page.orders.length;
+      startKey = page.lastEvaluatedKey;
+    } while (startKey);
+
+    result = await sink.finish();
+  } catch (error) {
+    await sink.abort();
+    throw error;
+  }
+
+  if (result.body !== undefined) {
+    return { orderCount, ...result };
+  }
+
+  const url = await getSignedUrl(s3Client, new GetObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    ResponseContentDisposition: `attachment; filename="${filename}"`
+  }), { expiresIn: urlExpiresInSeconds });
+  const expiresAt = new Date(Date.now() + urlExpiresInSeconds * 1000).toISOString();
+
+  return { orderCount, bytes: result.bytes, url, expiresAt };
+}
@@ -0,0 +1,293 @@
+/**
+ * Filtered, time-ordered order listings, shared by GET /orders and the export.
+ *
+ * A listing reads the narrowest index available for its filters (a
+ * customer's orders, the caller's own, one status, or every order through the
+ * sharded CreatedAtIndex). Every index sorts by createdAt, so a date range is
+ * always part of the key condition; SKU and total filters run on the orders
+ * read and are only allowed when the index or date range keeps that small.
+ */
+
+import { QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { ValidationFailedError } from './errors.mjs';
+import { isOrderStatus } from './orderStatus.mjs';
+import { SKU_PATTERN } from './catalog.mjs';
+import { listOrdersByCreatedAt } from './listShards.mjs';
+
+const TABLE_NAME = process.env.TABLE_NAME;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Filters DynamoDB can only apply to orders it has already read
+const POST_FILTERS = ['sku', 'minTotal', 'maxTotal'];
+
+// Without a customer or owner to narrow by, post-filters need a date window at most this wide
+const MAX_FILTER_WINDOW_DAYS = 31;
+
+function parseTimestamp(value, parameter, errors) {
+  const time = DATE_PATTERN.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    errors.push({ parameter, message: `${parameter} must be an ISO 8601 date or date-time` });
+    return null;
+  }
+  return time;
+}
+
+function parseMinorUnits(value, parameter, errors) {
+  if (!/^\d+$/.test(value)) {
+    errors.push({ parameter, message: `${parameter} must be a non-negative integer amount in minor units` });
+    return null;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parses the listing query string, already checked against the operation's
+ * query schemas by httpHandler(). Filters that fail their own checks (dates,
+ * ranges) throw ValidationFailedError (400), so a mistyped filter never
+ * silently widens the result.
+ */
+export function parseListQuery(queryStringParameters) {
+  const params = {
+    limit: 10, // Default limit
+    status: null,
+    sortOrder: 'desc', // Default to newest first
+    createdAfter: null,
+    createdBefore: null,
+    customerId: null,
+    sku: null,
+    minTotal: null,
+    maxTotal: null
+  };
+
+  if (queryStringParameters) {
+    // Parse limit
+    if (queryStringParameters.limit) {
+      const limit = parseInt(queryStringParameters.limit, 10);
+      if (limit > 0 && limit <= 100) {
+        params.limit = limit;
+      }
+    }
+
+    // Parse status filter
+    if (queryStringParameters.status && isOrderStatus(queryStringParameters.status)) {
+      params.status = queryStringParameters.status;
+    }
+
+    // Parse sort order
+    if (queryStringParameters.sortOrder &&
+        ['asc', 'desc'].includes(queryStringParameters.sortOrder.toLowerCase())) {
+      params.sortOrder = queryStringParameters.sortOrder.toLowerCase();
+    }
+
+    const errors = [];
+    const { createdAfter, createdBefore, customerId, sku, minTotal, maxTotal } = queryStringParameters;
+    if (createdAfter) {
+      params.createdAfter = parseTimestamp(createdAfter, 'createdAfter', errors);
+    }
+    if (createdBefore) {
+      params.createdBefore = parseTimestamp(createdBefore, 'createdBefore', errors);
+    }
+    if (customerId) {
+      if (UUID_PATTERN.test(customerId)) {
+        params.customerId = customerId.toLowerCase();
+      } else {
+        errors.push({ parameter: 'customerId', message: 'customerId must be a UUID' });
+      }
+    }
+    if (sku) {
+      if (SKU_PATTERN.test(sku)) {
+        params.sku = sku;
+      } else {
+        errors.push({ parameter: 'sku', message: 'sku must be 1-64 letters, digits, dots, dashes or underscores' });
+      }
+    }
+    if (minTotal) {
+      params.minTotal = parseMinorUnits(minTotal, 'minTotal', errors);
+    }
+    if (maxTotal) {
+      params.maxTotal = parseMinorUnits(maxTotal, 'maxTotal', errors);
+    }
+
+    if (params.createdAfter !== null && params.createdBefore !== null && params.createdAfter >= params.createdBefore) {
+      errors.push({ parameter: 'createdBefore', message: 'createdBefore must be later than createdAfter' });
+    }
+    if (params.minTotal !== null && params.maxTotal !== null && params.minTotal > params.maxTotal) {
+      errors.push({ parameter: 'maxTotal', message: 'maxTotal must not be less than minTotal' });
+    }
+    if (errors.length > 0) {
+      throw new ValidationFailedError(errors);
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Picks the index that narrows the listing most: a customer's orders, the
+ * caller's own orders, one status, or every order by creation time. Every
+ * index is sorted by createdAt, so date ranges are always part of the key.
+ */
+function chooseAccessPath(principal, queryParams) {
+  if (queryParams.customerId) {
+    return { indexName: 'CustomerIndex', key: ['customerId', queryParams.customerId], narrow: true };
+  }
+  if (!principal.isAdmin) {
+    return { indexName: 'OwnerIndex', key: ['ownerId', principal.subject], narrow: true };
+  }
+  if (queryParams.status) {
+    return { indexName: 'StatusIndex', key: ['status', queryParams.status], narrow: false };
+  }
+  return { indexName: 'CreatedAtIndex', key: null, narrow: false };
+}
+
+// Post-filters over a whole status or the whole table would read far more orders than they return
+function assertEfficient(accessPath, queryParams) {
+  const postFilters = POST_FILTERS.filter(name => queryParams[name] !== null);
+  if (postFilters.length === 0 || accessPath.narrow) {
+    return;
+  }
+
+  const { createdAfter, createdBefore } = queryParams;
+  const windowDays = createdAfter !== null && createdBefore !== null
+    ? (createdBefore - createdAfter) / 86400000
+    : Infinity;
+  if (windowDays > MAX_FILTER_WINDOW_DAYS) {
+    throw new ValidationFailedError(postFilters.map(parameter => ({
+      parameter,
+      message: `${parameter} can only be combined with customerId, or with createdAfter and createdBefore ` +
+        `at most ${MAX_FILTER_WINDOW_DAYS} days apart`
+    })));
+  }
+}
+
+// createdAfter and createdBefore are exclusive; BETWEEN is inclusive, so the bounds move by 1ms
+function createdAtCondition({ createdAfter, createdBefore }) {
+  const after = createdAfter !== null ? new Date(createdAfter + 1).toISOString() : null;
+  const before = createdBefore !== null ? new Date(createdBefore - 1).toISOString() : null;
+  const names = { '#createdAt': 'createdAt' };
+  if (after && before) {
+    return { expression: '#createdAt BETWEEN :createdFrom AND :createdTo', names, values: { ':createdFrom': after, ':createdTo': before } };
+  }
+  if (after) {
+    return { expression: '#createdAt >= :createdFrom', names, values: { ':createdFrom': after } };
+  }
+  if (before) {
+    return { expression: '#createdAt <= :createdTo', names, values: { ':createdTo': before } };
+  }
+  return null;
+}
+
+// Conditions the chosen index's key does not cover; they run after Limit, so pages may come back short
+function orderFilter(principal, accessPath, queryParams) {
+  const conditions = [];
+  const names = {};
+  const values = {};
+  const add = (expression, attributeNames, attributeValues) => {
+    conditions.push(expression);
+    Object.assign(names, attributeNames);
+    Object.assign(values, attributeValues);
+  };
+
+  // Customers see only their own orders, whichever index serves the request
+  if (!principal.isAdmin && accessPath.indexName !== 'OwnerIndex') {
+    add('#ownerId = :ownerId', { '#ownerId': 'ownerId' }, { ':ownerId': principal.subject });
+  }
+  if (queryParams.status && accessPath.indexName !== 'StatusIndex') {
+    add('#status = :status', { '#status': 'status' }, { ':status': queryParams.status });
+  }
+  if (queryParams.sku) {
+    add('contains(#skus, :sku)', { '#skus': 'skus' }, { ':sku': queryParams.sku });
+  }
+  if (queryParams.minTotal !== null) {
+    add('#totals.#total >= :minTotal', { '#totals': 'totals', '#total': 'total' }, { ':minTotal': queryParams.minTotal });
+  }
+  if (queryParams.maxTotal !== null) {
+    add('#totals.#total <= :maxTotal', { '#totals': 'totals', '#total': 'total' }, { ':maxTotal': queryParams.maxTotal });
+  }
+
+  return conditions.length > 0 ? { expression: conditions.join(' AND '), names, values } : null;
+}
+
+function indexQuery({ indexName, key: [keyName, keyValue], sortOrder, keyCondition, filter }, { limit, startKey }) {
+  const params = {
+    TableName: TABLE_NAME,
+    IndexName: indexName,
+    KeyConditionExpression: [`#${keyName} = :${keyName}`, keyCondition?.expression].filter(Boolean).join(' AND '),
+    ExpressionAttributeNames: {
+      [`#${keyName}`]: keyName,
+      ...keyCondition?.names,
+      ...filter?.names
+    },
+    ExpressionAttributeValues: {
+      [`:${keyName}`]: keyValue,
+      ...keyCondition?.values,
+      ...filter?.values
+    },
+    Limit: limit,
+    ScanIndexForward: sortOrder === 'asc'
+  };
+
+  if (filter) {
+    params.FilterExpression = filter.expression;
+  }
+
+  if (startKey) {
+    params.ExclusiveStartKey = startKey;
+  }
+
+  return params;
+}
+
+/**
+ * How to read the orders `params` (from parseListQuery) ask for: the index and
+ * its key, the createdAt range and the filter on what is read. Throws
+ * ValidationFailedError for SKU or total filters over too wide a scope.
+ */
+export function planOrderListing(principal, params) {
+  const accessPath = chooseAccessPath(principal, params);
+  assertEfficient(accessPath, params);
+  return {
+    ...accessPath,
+    sortOrder: params.sortOrder,
+    keyCondition: createdAtCondition(params),
+    filter: orderFilter(principal, accessPath, params)
+  };
+}
+
+// The filters a listing applied, as echoed to clients and bound into page tokens
+export function listingFilters(params) {
+  return {
+    status: params.status,
+    sortOrder: params.sortOrder,
+    createdAfter: params.createdAfter !== null ? new Date(params.createdAfter).toISOString() : null,
+    createdBefore: params.createdBefore !== null ? new Date(params.createdBefore).toISOString() : null,
+    customerId: params.customerId,
+    sku: params.sku,
+    minTotal: params.minTotal,
+    maxTotal: params.maxTotal
+  };
+}
+
+/**
+ * Reads one page of a planned listing, starting after `startKey`. Resolves to
+ * `{ orders, lastEvaluatedKey }`; `lastEvaluatedKey` is undefined on the last
+ * page. Filtered pages may hold fewer than `limit` orders.
+ */
+export async function fetchOrderPage(ddbDocClient, plan, { limit, startKey }) {
+  if (plan.key) {
+    const result = await ddbDocClient.send(new QueryCommand(indexQuery(plan, { limit, startKey })));
+    return { orders: result.Items || [], lastEvaluatedKey: result.LastEvaluatedKey };
+  }
+
+  // Merged across shards, so the order holds across pages, not just within one
+  const page = await listOrdersByCreatedAt(ddbDocClient, {
+    limit,
+    sortOrder: plan.sortOrder,
+    cursor: startKey,
+    keyCondition: plan.keyCondition,
+    filter: plan.filter
+  });
+  return { orders: page.orders, lastEvaluatedKey: page.cursor ?? undefined };
+}
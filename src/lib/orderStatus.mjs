@@ -0,0 +1,157 @@
+/**
+ * Order status state machine shared by every handler that writes an order.
+ *
+ * Statuses, the legal transitions between them and their guard conditions
+ * live here so the HTTP handlers and the order processor cannot drift apart.
+ * Writes use the generated DynamoDB condition expressions so the check and
+ * the update happen atomically.
+ */
+
+import { ConflictError } from './errors.mjs';
+
+export const OrderStatus = Object.freeze({
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED',
+  PENDING_REVIEW: 'PENDING_REVIEW',
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  CANCELLED: 'CANCELLED',
+  REJECTED: 'REJECTED',
+  OUT_OF_STOCK: 'OUT_OF_STOCK',
+  BACKORDERED: 'BACKORDERED'
+});
+
+// Statuses waiting for a manual decision through the review API
+export const REVIEW_STATUSES = Object.freeze([OrderStatus.PENDING_REVIEW, OrderStatus.PENDING_APPROVAL]);
+
+// Statuses in which the order contents may still be edited
+export const EDITABLE_STATUSES = Object.freeze([OrderStatus.PENDING]);
+
+export const ORDER_STATUSES = Object.freeze(Object.values(OrderStatus));
+
+// Status every new order starts in
+export const INITIAL_STATUS = OrderStatus.PENDING;
+
+// Legal transitions. A guard returns a reason string when the transition must be refused.
+const TRANSITIONS = [
+  {
+    from: [OrderStatus.PENDING],
+    to: OrderStatus.CONFIRMED,
+    guard: (order) => (order.items?.length ? null : 'order has no items')
+  },
+  { from: REVIEW_STATUSES, to: OrderStatus.CONFIRMED },
+  { from: REVIEW_STATUSES, to: OrderStatus.REJECTED },
+  { from: [OrderStatus.PENDING], to: OrderStatus.PENDING_REVIEW },
+  { from: [OrderStatus.PENDING], to: OrderStatus.PENDING_APPROVAL },
+  { from: [OrderStatus.PENDING], to: OrderStatus.OUT_OF_STOCK },
+  { from: [OrderStatus.PENDING], to: OrderStatus.BACKORDERED },
+  {
+    from: [OrderStatus.PENDING, OrderStatus.PENDING_REVIEW, OrderStatus.PENDING_APPROVAL, OrderStatus.BACKORDERED],
+    to: OrderStatus.CANCELLED
+  }
+];
+
+export class InvalidTransitionError extends ConflictError {
+  constructor({ orderId, from, to, reason, allowedFrom = allowedSourceStatuses(to) }) {
+    const subject = orderId ? `Order ${orderId}` : 'Order';
+    const detail = reason ? `: ${reason}` : '';
+    // Endpoints serving only some source statuses can narrow what they report
+    super(`${subject} cannot move from ${from ?? 'unknown'} to ${to}${detail}. Allowed statuses: ${allowedFrom.join(', ')}`, {
+      type: '/problems/invalid-transition',
+      details: { currentStatus: from, allowedStatuses: allowedFrom }
+    });
+    this.name = 'InvalidTransitionError';
+    this.orderId = orderId;
+    this.from = from;
+    this.to = to;
+    this.reason = reason;
+    this.allowedFrom = allowedFrom;
+  }
+}
+
+export function isOrderStatus(value) {
+  return ORDER_STATUSES.includes(value);
+}
+
+// Statuses an order may be in for a move to `to` to be legal
+export function allowedSourceStatuses(to) {
+  return TRANSITIONS
+    .filter(transition => transition.to === to)
+    .flatMap(transition => transition.from);
+}
+
+export function canTransition(from, to) {
+  return allowedSourceStatuses(to).includes(from);
+}
+
+/**
+ * Throws an InvalidTransitionError unless `order` may move to `to`.
+ * Guards are evaluated against the order as currently stored.
+ */
+export function assertTransition(order, to) {
+  const from = order?.status;
+  const transition = TRANSITIONS.find(candidate => candidate.to === to && candidate.from.includes(from));
+
+  if (!transition) {
+    throw new InvalidTransitionError({ orderId: order?.id, from, to });
+  }
+
+  const reason = transition.guard?.(order);
+  if (reason) {
+    throw new InvalidTransitionError({ orderId: order?.id, from, to, reason });
+  }
+}
+
+/**
+ * Builds the DynamoDB condition for a transition to `to`.
+ *
+ * When `from` is given (a status the caller has read, or the subset of source
+ * statuses an endpoint serves) the condition pins those statuses, otherwise it
+ * accepts any legal source status. The returned names and values are meant to
+ * be spread into the command's own maps.
+ */
+export function transitionCondition(to, { from } = {}) {
+  const sources = from ? [].concat(from) : allowedSourceStatuses(to);
+
+  const illegal = sources.find(status => !canTransition(status, to));
+  if (illegal) {
+    throw new InvalidTransitionError({ from: illegal, to });
+  }
+
+  const values = {};
+  sources.forEach((status, index) => {
+    values[`:fromStatus${index}`] = status;
+  });
+
+  return {
+    ConditionExpression: `attribute_exists(id) AND #status IN (${Object.keys(values).join(', ')})`,
+    ExpressionAttributeNames: { '#status': 'status' },
+    ExpressionAttributeValues: values
+  };
+}
+
+// True when a write failed because of a condition on the order item
+export function isConditionFailure(error, { transactIndex = 0 } = {}) {
+  if (error.name === 'ConditionalCheckFailedException') {
+    return true;
+  }
+  return error.name === 'TransactionCanceledException' &&
+    error.CancellationReasons?.[transactIndex]?.Code === 'ConditionalCheckFailed';
+}
+
+/**
+ * Translates a failed transition write into the typed error. Accepts either a
+ * ConditionalCheckFailedException or a TransactionCanceledException whose
+ * order item sits at `transactIndex`; the write must have been issued with
+ * ReturnValuesOnConditionCheckFailure: 'ALL_OLD'. Returns null when the order
+ * does not exist at all.
+ */
+export function transitionErrorFromConditionFailure(error, { orderId, to, transactIndex = 0 }) {
+  const item = error.name === 'TransactionCanceledException'
+    ? error.CancellationReasons?.[transactIndex]?.Item
+    : error.Item;
+
+  if (!item) {
+    return null;
+  }
+  return new InvalidTransitionError({ orderId, from: item.status?.S, to });
+}
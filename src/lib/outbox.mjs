@@ -0,0 +1,162 @@
+import { v4 as uuid } from 'uuid';
+import { UpdateCommand } from '@aws-sdk/lib-dynamodb';
+import { SendMessageBatchCommand } from '@aws-sdk/client-sqs';
+
+/**
+ * Transactional outbox for order events.
+ *
+ * Write paths never publish to SQS directly. They add an outbox entry to the
+ * same TransactWrite that changes the order, so the state change and the event
+ * either both exist or neither does. The outbox relay publishes pending entries
+ * to the order events queue and marks them SENT. Delivery is at-least-once:
+ * consumers must tolerate the occasional duplicate.
+ */
+
+const OUTBOX_TABLE_NAME = process.env.OUTBOX_TABLE_NAME;
+
+// Sent entries are kept for a week for troubleshooting, then expired by TTL
+const SENT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// SendMessageBatch takes at most 10 messages and 256 KiB of bodies and attributes
+const SEND_BATCH_MAX_ENTRIES = 10;
+const SEND_BATCH_MAX_BYTES = 256 * 1024;
+
+export const OutboxStatus = Object.freeze({
+  PENDING: 'PENDING',
+  SENT: 'SENT'
+});
+
+/**
+ * Builds the event message and the TransactWrite item that stores it in the
+ * outbox. `detail.id` identifies the order the event belongs to.
+ */
+export function buildOutboxPut(type, detail, { timestamp = new Date().toISOString() } = {}) {
+  const entryId = uuid();
+  const eventMessage = { type, timestamp, detail };
+
+  return {
+    entryId,
+    eventMessage,
+    transactItem: {
+      Put: {
+        TableName: OUTBOX_TABLE_NAME,
+        Item: {
+          id: entryId,
+          aggregateId: detail.id,
+          eventType: type,
+          status: OutboxStatus.PENDING,
+          createdAt: timestamp,
+          messageBody: JSON.stringify(eventMessage),
+          messageAttributes: {
+            eventType: type,
+            orderId: detail.id,
+            timestamp
+          }
+        },
+        ConditionExpression: 'attribute_not_exists(id)'
+      }
+    }
+  };
+}
+
+// SQS message attributes for a stored outbox entry
+export function toMessageAttributes(entry) {
+  const attributes = {
+    outboxEntryId: { DataType: 'String', StringValue: entry.id }
+  };
+  Object.entries(entry.messageAttributes || {}).forEach(([name, value]) => {
+    attributes[name] = { DataType: 'String', StringValue: String(value) };
+  });
+  return attributes;
+}
+
+/**
+ * Marks an entry as published. Returns false when another relay invocation
+ * already did, which is harmless.
+ */
+export async function markOutboxEntrySent(ddbDocClient, entry, { messageId }) {
+  const sentAt = new Date().toISOString();
+  try {
+    await ddbDocClient.send(new UpdateCommand({
+      TableName: OUTBOX_TABLE_NAME,
+      Key: { id: entry.id },
+      UpdateExpression: 'SET #status = :sent, #sentAt = :sentAt, #messageId = :messageId, #expiresAt = :expiresAt',
+      ConditionExpression: '#status = :pending',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#sentAt': 'sentAt',
+        '#messageId': 'messageId',
+        '#expiresAt': 'expiresAt'
+      },
+      ExpressionAttributeValues: {
+        ':sent': OutboxStatus.SENT,
+        ':pending': OutboxStatus.PENDING,
+        ':sentAt': sentAt,
+        ':messageId': messageId,
+        ':expiresAt': Math.floor(Date.now() / 1000) + SENT_RETENTION_SECONDS
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Rough SQS size of an entry's message: body plus attribute names and values
+function messageSize(entry) {
+  return Buffer.byteLength(entry.messageBody) + Buffer.byteLength(JSON.stringify(entry.messageAttributes || {})) + 64;
+}
+
+// Splits entries, in order, into groups that fit one SendMessageBatch request
+export function outboxBatches(entries) {
+  const batches = [];
+  let batch = [];
+  let bytes = 0;
+  entries.forEach(entry => {
+    const size = messageSize(entry);
+    if (batch.length === SEND_BATCH_MAX_ENTRIES || (batch.length > 0 && bytes + size > SEND_BATCH_MAX_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      bytes = 0;
+    }
+    batch.push(entry);
+    bytes += size;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+/**
+ * Publishes one batch from outboxBatches() with SendMessageBatch and marks the
+ * published entries SENT. Resolves to a result per entry, in order:
+ * `{ entry, messageId, marked }`, or `{ entry, error }` for messages SQS
+ * rejected. Throws when the request itself fails.
+ */
+export async function publishOutboxBatch({ ddbDocClient, sqsClient, queueUrl }, entries) {
+  const result = await sqsClient.send(new SendMessageBatchCommand({
+    QueueUrl: queueUrl,
+    Entries: entries.map(entry => ({
+      Id: entry.id,
+      MessageBody: entry.messageBody,
+      MessageAttributes: toMessageAttributes(entry)
+    }))
+  }));
+
+  const sent = new Map((result.Successful || []).map(success => [success.Id, success.MessageId]));
+  const failed = new Map((result.Failed || []).map(failure => [failure.Id, failure]));
+
+  return Promise.all(entries.map(async entry => {
+    const messageId = sent.get(entry.id);
+    if (!messageId) {
+      const failure = failed.get(entry.id);
+      return { entry, error: { code: failure?.Code, message: failure?.Message, senderFault: failure?.SenderFault } };
+    }
+    const marked = await markOutboxEntrySent(ddbDocClient, entry, { messageId });
+    return { entry, messageId, marked };
+  }));
+}
@@ -0,0 +1,79 @@
+/**
+ * Token-bucket rate limiting backed by DynamoDB.
+ *
+ * Each bucket holds up to `burst` tokens and refills at `requestsPerSecond`.
+ * A request takes one token (more when it does the work of several) or is
+ * refused with a ThrottledError whose Retry-After says when enough tokens
+ * will be available. The bucket is read,
+ * refilled for the time that has passed and written back with a condition on
+ * the previous refill time, so concurrent requests from different containers
+ * can never spend the same token. Idle buckets are expired by TTL.
+ */
+
+import { GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+import { ThrottledError } from './errors.mjs';
+
+const RATE_LIMIT_TABLE_NAME = process.env.RATE_LIMIT_TABLE_NAME;
+
+// Concurrent writers retry against the fresh bucket a few times
+const MAX_ATTEMPTS = 3;
+
+// A full bucket is the same as no bucket, so idle ones need not be kept long
+const BUCKET_TTL_SECONDS = 3600;
+
+// Tokens available at `now`, refilled since the bucket was last written
+function refill(bucket, { requestsPerSecond, burst }, now) {
+  if (!bucket) {
+    return burst;
+  }
+  const elapsedSeconds = Math.max(0, now - bucket.refilledAt) / 1000;
+  return Math.min(burst, bucket.tokens + elapsedSeconds * requestsPerSecond);
+}
+
+/**
+ * Takes `count` tokens from bucket `bucketId`. Resolves to the number of whole
+ * tokens left; throws ThrottledError when too few are left. Taking more than
+ * `burst` needs a full bucket and leaves it in debt, so later requests wait
+ * until the whole cost has been refilled.
+ */
+export async function takeToken(ddbDocClient, bucketId, limit, { count = 1 } = {}) {
+  const needed = Math.min(count, limit.burst);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const { Item: bucket } = await ddbDocClient.send(new GetCommand({
+      TableName: RATE_LIMIT_TABLE_NAME,
+      Key: { bucketId },
+      ConsistentRead: true
+    }));
+
+    const now = Date.now();
+    const tokens = refill(bucket, limit, now);
+    if (tokens < needed) {
+      throw new ThrottledError(`Rate limit of ${limit.requestsPerSecond} requests per second exceeded`, {
+        retryAfterSeconds: Math.ceil((needed - tokens) / limit.requestsPerSecond)
+      });
+    }
+
+    try {
+      await ddbDocClient.send(new PutCommand({
+        TableName: RATE_LIMIT_TABLE_NAME,
+        Item: {
+          bucketId,
+          tokens: tokens - count,
+          refilledAt: now,
+          expiresAt: Math.floor(now / 1000) + BUCKET_TTL_SECONDS
+        },
+        ConditionExpression: bucket ? 'refilledAt = :refilledAt' : 'attribute_not_exists(bucketId)',
+        ...(bucket && { ExpressionAttributeValues: { ':refilledAt': bucket.refilledAt } })
+      }));
+      return Math.floor(tokens - count);
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+  }
+
+  // Losing every race means the bucket is busy enough to be nearly empty anyway
+  throw new ThrottledError(`Rate limit of ${limit.requestsPerSecond} requests per second exceeded`);
+}
@@ -0,0 +1,249 @@
+/**
+ * Declarative review rules applied to new orders.
+ *
+ * A rule names an action (REVIEW or APPROVAL), a reason and a `when` block of
+ * conditions that must all hold. Every matching rule is reported; the order
+ * status comes from the strongest action (APPROVAL beats REVIEW). Rules are
+ * read from the rules table when it has any entries, otherwise from
+ * src/config/reviewRules.json.
+ *
+ * Conditions:
+ *   itemCount  { gt, gte, lt, lte, eq }            number of order lines
+ *   total      { gt, gte, lt, lte, eq, currency }  grand total in major units; only orders in
+ *                                                  `currency` (DEFAULT_CURRENCY if unset) match
+ *   customer   { in: [names], pattern: regex }     customer name, case-insensitive
+ *   sku        { anyOf: [skus] }                   any line with one of the SKUs
+ */
+
+import { readFileSync } from 'node:fs';
+import { URL } from 'node:url';
+import { ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { OrderStatus } from './orderStatus.mjs';
+import { DEFAULT_CURRENCY, currencyExponent, orderTotals } from './money.mjs';
+import { AppError } from './errors.mjs';
+
+const RULES_TABLE_NAME = process.env.RULES_TABLE_NAME;
+const RULES_CACHE_TTL_MS = parseInt(process.env.RULES_CACHE_TTL_SECONDS || '60', 10) * 1000;
+const CONFIG_URL = new URL('../config/reviewRules.json', import.meta.url);
+
+export const RuleAction = Object.freeze({
+  REVIEW: 'REVIEW',
+  APPROVAL: 'APPROVAL'
+});
+
+// Status for each action, strongest first
+const ACTION_STATUSES = [
+  [RuleAction.APPROVAL, OrderStatus.PENDING_APPROVAL],
+  [RuleAction.REVIEW, OrderStatus.PENDING_REVIEW]
+];
+
+const COMPARATORS = {
+  gt: (value, limit) => value > limit,
+  gte: (value, limit) => value >= limit,
+  lt: (value, limit) => value < limit,
+  lte: (value, limit) => value <= limit,
+  eq: (value, limit) => value === limit
+};
+
+// The deployed rule set is broken; a server problem, not the caller's
+export class RulesConfigError extends AppError {
+  constructor(errors) {
+    super(`Invalid review rules: ${errors.join(', ')}`, {
+      title: 'Invalid rules configuration',
+      type: '/problems/invalid-rules-configuration',
+      expose: true
+    });
+    this.name = 'RulesConfigError';
+    this.errors = errors;
+  }
+}
+
+function validateComparison(condition, path, errors, { allowCurrency = false } = {}) {
+  const keys = Object.keys(condition).filter(key => !(allowCurrency && key === 'currency'));
+  if (keys.length === 0) {
+    errors.push(`${path} needs at least one of ${Object.keys(COMPARATORS).join(', ')}`);
+  }
+  keys.forEach(key => {
+    if (!COMPARATORS[key]) {
+      errors.push(`${path}.${key} is not a known comparator`);
+    } else if (typeof condition[key] !== 'number' || !Number.isFinite(condition[key])) {
+      errors.push(`${path}.${key} must be a number`);
+    }
+  });
+}
+
+const CONDITION_VALIDATORS = {
+  itemCount: (condition, path, errors) => validateComparison(condition, path, errors),
+  total: (condition, path, errors) => {
+    validateComparison(condition, path, errors, { allowCurrency: true });
+    if (condition.currency !== undefined && typeof condition.currency !== 'string') {
+      errors.push(`${path}.currency must be a currency code`);
+    }
+  },
+  customer: (condition, path, errors) => {
+    if (condition.in === undefined && condition.pattern === undefined) {
+      errors.push(`${path} needs in or pattern`);
+    }
+    if (condition.in !== undefined && (!Array.isArray(condition.in) || condition.in.some(name => typeof name !== 'string'))) {
+      errors.push(`${path}.in must be an array of names`);
+    }
+    if (condition.pattern !== undefined) {
+      try {
+        new RegExp(condition.pattern, 'i');
+      } catch (_error) {
+        errors.push(`${path}.pattern must be a valid regular expression`);
+      }
+    }
+  },
+  sku: (condition, path, errors) => {
+    if (!Array.isArray(condition.anyOf) || condition.anyOf.length === 0 || condition.anyOf.some(sku => typeof sku !== 'string')) {
+      errors.push(`${path}.anyOf must be a non-empty array of SKUs`);
+    }
+  }
+};
+
+// Returns a list of problems; an empty list means the rules can be evaluated
+export function validateRules(rules) {
+  const errors = [];
+
+  if (!Array.isArray(rules)) {
+    return ['rules must be an array'];
+  }
+
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const path = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!rule.id || typeof rule.id !== 'string') {
+      errors.push(`${path}.id is required`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${path}.id ${rule.id} is used more than once`);
+    } else {
+      ids.add(rule.id);
+    }
+    if (!Object.values(RuleAction).includes(rule.action)) {
+      errors.push(`${path}.action must be one of ${Object.values(RuleAction).join(', ')}`);
+    }
+    if (!rule.reason || typeof rule.reason !== 'string') {
+      errors.push(`${path}.reason is required`);
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push(`${path}.enabled must be a boolean`);
+    }
+
+    const conditions = Object.entries(rule.when || {});
+    if (!rule.when || typeof rule.when !== 'object' || conditions.length === 0) {
+      errors.push(`${path}.when needs at least one condition`);
+      return;
+    }
+    conditions.forEach(([name, condition]) => {
+      const validate = CONDITION_VALIDATORS[name];
+      if (!validate) {
+        errors.push(`${path}.when.${name} is not a known condition (${Object.keys(CONDITION_VALIDATORS).join(', ')})`);
+      } else if (!condition || typeof condition !== 'object') {
+        errors.push(`${path}.when.${name} must be an object`);
+      } else {
+        validate(condition, `${path}.when.${name}`, errors);
+      }
+    });
+  });
+
+  return errors;
+}
+
+function compare(condition, value, { scale = limit => limit } = {}) {
+  return Object.entries(COMPARATORS)
+    .filter(([key]) => condition[key] !== undefined)
+    .every(([key, test]) => test(value, scale(condition[key])));
+}
+
+const CONDITION_MATCHERS = {
+  itemCount: (condition, order) => compare(condition, order.items?.length || 0),
+  total: (condition, order) => {
+    const { total, currency } = orderTotals(order);
+    // A threshold means nothing in another currency: 10,000 yen is not 10,000 dollars
+    if ((condition.currency || DEFAULT_CURRENCY) !== currency) {
+      return false;
+    }
+    // Thresholds are written in major units; compare in the order's minor units
+    return compare(condition, total, { scale: limit => Math.round(limit * 10 ** currencyExponent(currency)) });
+  },
+  customer: (condition, order) => {
+    const name = (order.customerName || '').trim().toLowerCase();
+    if (condition.in && !condition.in.some(candidate => candidate.trim().toLowerCase() === name)) {
+      return false;
+    }
+    return !condition.pattern || new RegExp(condition.pattern, 'i').test(order.customerName || '');
+  },
+  sku: (condition, order) => (order.items || []).some(item => condition.anyOf.includes(item.sku))
+};
+
+/**
+ * Evaluates `rules` against a stored order. Returns the status the order
+ * should move to, every matched rule with its reason, and processing notes.
+ */
+export function evaluateRules(rules, order) {
+  const matchedRules = rules
+    .filter(rule => rule.enabled !== false)
+    .filter(rule => Object.entries(rule.when).every(([name, condition]) => CONDITION_MATCHERS[name](condition, order)))
+    .map(({ id, action, reason }) => ({ id, action, reason }));
+
+  const [, newStatus] = ACTION_STATUSES.find(([action]) => matchedRules.some(rule => rule.action === action))
+    || [null, OrderStatus.CONFIRMED];
+
+  return {
+    newStatus,
+    matchedRules,
+    processingNotes: matchedRules.length
+      ? matchedRules.map(rule => rule.reason).join('; ')
+      : 'Order processed successfully'
+  };
+}
+
+function loadConfigRules() {
+  const { rules } = JSON.parse(readFileSync(CONFIG_URL, 'utf8'));
+  return rules;
+}
+
+async function loadTableRules(ddbDocClient) {
+  const rules = [];
+  let lastEvaluatedKey;
+  do {
+    const result = await ddbDocClient.send(new ScanCommand({
+      TableName: RULES_TABLE_NAME,
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    rules.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return rules.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+let cached = null;
+
+/**
+ * Active rules and where they came from ('table' or 'config'). Cached per
+ * Lambda container for RULES_CACHE_TTL_SECONDS; throws RulesConfigError when
+ * the rules are malformed so orders are not processed with a broken rule set.
+ */
+export async function loadRules(ddbDocClient) {
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const tableRules = RULES_TABLE_NAME ? await loadTableRules(ddbDocClient) : [];
+  const value = tableRules.length
+    ? { source: 'table', rules: tableRules }
+    : { source: 'config', rules: loadConfigRules() };
+
+  const errors = validateRules(value.rules);
+  if (errors.length > 0) {
+    throw new RulesConfigError(errors);
+  }
+
+  cached = { value, expiresAt: Date.now() + RULES_CACHE_TTL_MS };
+  return value;
+}
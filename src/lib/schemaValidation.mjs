@@ -0,0 +1,188 @@
+/**
+ * Request validation against the API schemas in src/schemas.
+ *
+ * Schemas are compiled once per container with Ajv (JSON Schema 2020-12).
+ * Ajv errors are turned into the field errors of a ValidationFailedError:
+ * `{ pointer, message }` for the request body and `{ parameter, message }`
+ * for path and query parameters. Rules a schema cannot express (a price's precision in
+ * its currency, catalog lookups) stay in the handlers.
+ */
+
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { SCHEMAS } from '../schemas/index.mjs';
+import { ValidationFailedError } from './errors.mjs';
+import { isSupportedCurrency } from './money.mjs';
+
+const ajv = new Ajv2020({ allErrors: true, verbose: true });
+addFormats(ajv, ['uuid', 'date-time', 'email']);
+ajv.addFormat('currency', { type: 'string', validate: isSupportedCurrency });
+Object.entries(SCHEMAS).forEach(([name, schema]) => ajv.addSchema(schema, name));
+
+// Keywords whose failure is best explained by the schema's own description
+const DESCRIBED_KEYWORDS = ['type', 'format', 'pattern', 'minLength', 'maxLength', 'minimum'];
+
+function describe({ keyword, params, parentSchema, message }) {
+  if (keyword === 'required') {
+    return 'is required';
+  }
+  if (keyword === 'additionalProperties') {
+    return 'is not allowed';
+  }
+  if (DESCRIBED_KEYWORDS.includes(keyword) && parentSchema.description) {
+    return `must be ${parentSchema.description}`;
+  }
+  if (keyword === 'type') {
+    return `must be ${/^[aeiou]/.test(params.type) ? 'an' : 'a'} ${params.type}`;
+  }
+  if (keyword === 'enum') {
+    return `must be one of ${params.allowedValues.join(', ')}`;
+  }
+  if (keyword === 'not' && parentSchema.not.const !== undefined) {
+    return `must not be ${JSON.stringify(parentSchema.not.const)}`;
+  }
+  if (keyword === 'minProperties' && parentSchema.properties) {
+    return `must contain at least one of ${Object.keys(parentSchema.properties).join(', ')}`;
+  }
+  if (keyword === 'oneOf') {
+    return `must contain exactly one of ${parentSchema.oneOf.flatMap(branch => branch.required || []).join(', ')}`;
+  }
+  if (keyword === 'anyOf') {
+    return `must contain at least one of ${parentSchema.anyOf.flatMap(branch => branch.required || []).join(', ')}`;
+  }
+  return message;
+}
+
+// JSON Pointer of the failing value; missing and unexpected properties point at the property itself
+function pointerOf({ keyword, instancePath, params }) {
+  if (keyword === 'required') {
+    return `${instancePath}/${params.missingProperty}`;
+  }
+  if (keyword === 'additionalProperties') {
+    return `${instancePath}/${params.additionalProperty}`;
+  }
+  return instancePath;
+}
+
+// /items/0/qty reads as items[0].qty in messages
+function labelOf(pointer) {
+  return pointer.slice(1).split('/').reduce((label, token) => {
+    if (/^\d+$/.test(token)) {
+      return `${label}[${token}]`;
+    }
+    return label ? `${label}.${token}` : token;
+  }, '');
+}
+
+// A failed oneOf or anyOf also reports why each branch failed; only the combinator itself is useful
+function withoutBranchErrors(errors) {
+  const combinators = errors.filter(error => ['oneOf', 'anyOf'].includes(error.keyword)).map(error => `${error.schemaPath}/`);
+  return errors.filter(error => !combinators.some(path => error.schemaPath.startsWith(path)));
+}
+
+function validatorFor(schema) {
+  return typeof schema === 'string' ? ajv.getSchema(schema) : ajv.compile(schema);
+}
+
+const pathParameterValidators = new WeakMap();
+
+// One object schema per operation covering all of its path parameters
+function pathParameterValidator(pathParameters) {
+  if (!pathParameterValidators.has(pathParameters)) {
+    const properties = Object.fromEntries(Object.entries(pathParameters).map(([name, schema]) => [name, SCHEMAS[schema]]));
+    pathParameterValidators.set(pathParameters, ajv.compile({
+      type: 'object',
+      required: Object.keys(pathParameters),
+      properties
+    }));
+  }
+  return pathParameterValidators.get(pathParameters);
+}
+
+const queryValidators = new WeakMap();
+
+// One object schema per operation covering its query parameters; unknown ones are ignored
+function queryValidator(query) {
+  if (!queryValidators.has(query)) {
+    const properties = Object.fromEntries(Object.entries(query).map(([name, { schema }]) => [name, schema]));
+    queryValidators.set(query, ajv.compile({ type: 'object', properties }));
+  }
+  return queryValidators.get(query);
+}
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// Query strings only carry strings: numeric parameters are checked as numbers, empty ones count as absent
+function queryValues(query, values) {
+  return Object.fromEntries(Object.entries(values)
+    .filter(([, value]) => value !== '')
+    .map(([name, value]) => {
+      const type = query[name]?.schema.type;
+      const numeric = ['integer', 'number'].includes(type) && NUMBER_PATTERN.test(value);
+      return [name, numeric ? Number(value) : value];
+    }));
+}
+
+/**
+ * Validates `value` against a schema (a name in SCHEMAS or a schema object).
+ * Returns `{ pointer, message }` errors; an empty list means the value is valid.
+ */
+export function validate(schema, value) {
+  const validator = validatorFor(schema);
+  if (validator(value)) {
+    return [];
+  }
+  return withoutBranchErrors(validator.errors).map(error => {
+    const pointer = pointerOf(error);
+    return { pointer, message: `${labelOf(pointer) || 'Request body'} ${describe(error)}` };
+  });
+}
+
+function validatePathParameters(pathParameters, params) {
+  const validator = pathParameterValidator(pathParameters);
+  if (validator(params)) {
+    return [];
+  }
+  return validator.errors.map(error => {
+    const parameter = labelOf(pointerOf(error));
+    return { parameter, message: `Path parameter ${parameter} ${describe(error)}` };
+  });
+}
+
+function validateQuery(query, values) {
+  const validator = queryValidator(query);
+  if (validator(queryValues(query, values))) {
+    return [];
+  }
+  return validator.errors.map(error => {
+    const parameter = labelOf(pointerOf(error));
+    return { parameter, message: `Query parameter ${parameter} ${describe(error)}` };
+  });
+}
+
+/**
+ * Checks the path parameters, query parameters and body of a request against
+ * its operation in src/schemas/operations.mjs, throwing a ValidationFailedError
+ * listing every problem.
+ */
+export function validateRequest(operation, { params, query = {}, body }) {
+  const errors = [];
+
+  if (operation.pathParameters) {
+    errors.push(...validatePathParameters(operation.pathParameters, params));
+  }
+  if (operation.query) {
+    errors.push(...validateQuery(operation.query, query));
+  }
+
+  const { requestBody } = operation;
+  if (requestBody && body === undefined && requestBody.required !== false) {
+    errors.push({ pointer: '', message: 'Request body is required' });
+  } else if (requestBody && body !== undefined) {
+    errors.push(...validate(requestBody.schema, body));
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationFailedError(errors);
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Partner API key schemas. Stored hashes never leave the API; the plaintext
+ * key is only returned by the issue and rotate operations.
+ */
+
+import { ApiKeyStatus } from '../lib/apiKeys.mjs';
+import { OrderId, Timestamp, nonBlankString } from './common.mjs';
+
+export const ApiKeyId = {
+  ...OrderId
+};
+
+export const PartnerId = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9._-]{1,64}$',
+  description: '1-64 letters, digits, dots, dashes or underscores'
+};
+
+// Token bucket: `burst` requests at once, refilled at `requestsPerSecond`
+const RateLimit = {
+  type: 'object',
+  required: ['requestsPerSecond', 'burst'],
+  properties: {
+    requestsPerSecond: { type: 'number', exclusiveMinimum: 0, maximum: 1000 },
+    burst: { type: 'integer', minimum: 1, maximum: 10000 }
+  },
+  additionalProperties: false
+};
+
+export const IssueApiKeyRequest = {
+  type: 'object',
+  required: ['partnerId', 'name'],
+  properties: {
+    partnerId: PartnerId,
+    name: nonBlankString(200),
+    // Defaults to the stack's default partner limit
+    rateLimit: RateLimit
+  },
+  additionalProperties: false,
+  examples: [{ partnerId: 'acme', name: 'ACME order sync' }]
+};
+
+export const RotateApiKeyRequest = {
+  type: 'object',
+  properties: {
+    // How long the replaced secret keeps working; defaults to a day
+    gracePeriodSeconds: { type: 'integer', minimum: 0, maximum: 604800 }
+  },
+  additionalProperties: false
+};
+
+export const ApiKey = {
+  type: 'object',
+  required: ['id', 'partnerId', 'name', 'status', 'rateLimit', 'createdAt'],
+  properties: {
+    id: ApiKeyId,
+    partnerId: PartnerId,
+    name: { type: 'string' },
+    status: { enum: Object.values(ApiKeyStatus) },
+    rateLimit: RateLimit,
+    createdAt: Timestamp,
+    createdBy: { type: 'string', description: 'subject of the admin who issued the key' },
+    rotatedAt: Timestamp,
+    previousKeyExpiresAt: Timestamp,
+    revokedAt: Timestamp
+  }
+};
+
+export const IssuedApiKey = {
+  ...ApiKey,
+  required: [...ApiKey.required, 'key'],
+  properties: {
+    ...ApiKey.properties,
+    key: { type: 'string', description: 'send as X-API-Key; it cannot be retrieved again' }
+  }
+};
@@ -0,0 +1,85 @@
+/**
+ * Product catalog and inventory schemas.
+ */
+
+import { DEFAULT_CURRENCY } from '../lib/money.mjs';
+import {
+  CurrencyCode,
+  MajorUnits,
+  MinorUnits,
+  Pagination,
+  Sku,
+  Timestamp,
+  nonBlankString,
+  optionalString
+} from './common.mjs';
+
+// PUT /products/{sku}; `price` is in major units of `currency`
+export const ProductRequest = {
+  type: 'object',
+  required: ['name', 'price'],
+  properties: {
+    // Optional here; must match the path when sent
+    sku: Sku,
+    name: nonBlankString(200),
+    description: optionalString(1000),
+    price: MajorUnits,
+    currency: { ...CurrencyCode, default: DEFAULT_CURRENCY },
+    // Inactive products cannot be ordered
+    active: { type: 'boolean', default: true }
+  }
+};
+
+export const CreateProductRequest = {
+  ...ProductRequest,
+  required: ['sku', ...ProductRequest.required],
+  examples: [{ sku: 'WIDGET-1', name: 'Widget', price: 19.99, currency: 'USD' }]
+};
+
+export const Product = {
+  type: 'object',
+  required: ['sku', 'name', 'unitPrice', 'currency', 'active'],
+  properties: {
+    sku: Sku,
+    name: { type: 'string' },
+    description: { type: 'string' },
+    unitPrice: MinorUnits,
+    price: { type: 'number', description: 'unitPrice in major units, for display only' },
+    currency: CurrencyCode,
+    active: { type: 'boolean' },
+    createdAt: Timestamp,
+    updatedAt: Timestamp
+  }
+};
+
+export const ProductList = {
+  type: 'object',
+  required: ['products', 'pagination'],
+  properties: {
+    products: { type: 'array', items: Product },
+    pagination: Pagination
+  }
+};
+
+// `delta` is added to the available count; negative deltas remove stock
+export const InventoryAdjustmentRequest = {
+  type: 'object',
+  required: ['delta'],
+  properties: {
+    delta: { type: 'integer', not: { const: 0 } },
+    backorderable: { type: 'boolean' }
+  },
+  examples: [{ delta: 25 }]
+};
+
+export const InventoryItem = {
+  type: 'object',
+  required: ['sku', 'available', 'reserved'],
+  properties: {
+    sku: Sku,
+    available: { type: 'integer' },
+    reserved: { type: 'integer' },
+    backorderable: { type: 'boolean' },
+    updatedAt: Timestamp
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * Building blocks shared by the request and response schemas.
+ *
+ * Schemas are plain JSON Schema 2020-12 objects, the dialect OpenAPI 3.1 uses,
+ * so the same objects are compiled by the validator and published in the
+ * OpenAPI document. Schemas that describe a single string use `description`
+ * as a noun phrase ("an ISO 4217 currency code"); validation messages reuse it.
+ */
+
+import { SKU_PATTERN } from '../lib/catalog.mjs';
+
+export const OrderId = {
+  type: 'string',
+  format: 'uuid',
+  description: 'a UUID'
+};
+
+export const Sku = {
+  type: 'string',
+  pattern: SKU_PATTERN.source,
+  description: '1-64 letters, digits, dots, dashes or underscores'
+};
+
+export const CurrencyCode = {
+  type: 'string',
+  format: 'currency',
+  description: 'an ISO 4217 currency code',
+  examples: ['USD']
+};
+
+export const Timestamp = {
+  type: 'string',
+  format: 'date-time'
+};
+
+// Amounts are integers in the currency's minor unit (cents for USD)
+export const MinorUnits = {
+  type: 'integer',
+  description: 'an amount in the minor unit of the currency'
+};
+
+// Decimal amounts in major units, as clients send prices
+export const MajorUnits = {
+  type: 'number',
+  minimum: 0,
+  description: 'a non-negative amount in major units of the currency'
+};
+
+export const Quantity = {
+  type: 'integer',
+  minimum: 1
+};
+
+export function nonBlankString(maxLength) {
+  return {
+    type: 'string',
+    minLength: 1,
+    maxLength,
+    pattern: '\\S',
+    description: `a non-blank string of at most ${maxLength} characters`
+  };
+}
+
+export function optionalString(maxLength) {
+  return {
+    type: 'string',
+    maxLength,
+    description: `a string of at most ${maxLength} characters`
+  };
+}
+
+export const Totals = {
+  type: 'object',
+  required: ['currency', 'subtotal', 'tax', 'total'],
+  properties: {
+    currency: CurrencyCode,
+    subtotal: MinorUnits,
+    taxRateBps: { type: 'integer', description: 'tax rate in basis points (825 = 8.25%)' },
+    tax: MinorUnits,
+    total: MinorUnits
+  }
+};
+
+export const Pagination = {
+  type: 'object',
+  required: ['limit', 'count', 'hasMore', 'nextToken'],
+  properties: {
+    limit: { type: 'integer' },
+    count: { type: 'integer' },
+    hasMore: { type: 'boolean' },
+    nextToken: { type: ['string', 'null'], description: 'pass back as nextToken to fetch the next page' }
+  }
+};
+
+// RFC 7807 problem details, as rendered by src/lib/http.mjs
+export const Problem = {
+  type: 'object',
+  required: ['type', 'title', 'status', 'detail', 'instance'],
+  properties: {
+    type: { type: 'string', examples: ['/problems/validation-failed'] },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string', description: 'the request ID, also returned in X-Request-Id' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['message'],
+        properties: {
+          pointer: { type: 'string', description: 'JSON Pointer to the offending field of the request body' },
+          parameter: { type: 'string', description: 'name of the offending path parameter' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
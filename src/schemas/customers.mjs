@@ -0,0 +1,42 @@
+/**
+ * Customer schemas.
+ */
+
+import { OrderId, Pagination, Timestamp, nonBlankString } from './common.mjs';
+
+export const CustomerId = {
+  ...OrderId
+};
+
+export const CreateCustomerRequest = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: nonBlankString(200),
+    email: { type: 'string', format: 'email', maxLength: 320, description: 'an email address' }
+  },
+  additionalProperties: false,
+  examples: [{ name: 'Acme Inc', email: 'orders@acme.example' }]
+};
+
+export const Customer = {
+  type: 'object',
+  required: ['id', 'name', 'normalizedName', 'createdAt'],
+  properties: {
+    id: CustomerId,
+    name: { type: 'string' },
+    normalizedName: { type: 'string', description: 'the name as compared for duplicates, e.g. "acme" for "ACME Inc."' },
+    email: { type: 'string' },
+    createdAt: Timestamp,
+    updatedAt: Timestamp
+  }
+};
+
+export const CustomerList = {
+  type: 'object',
+  required: ['customers', 'pagination'],
+  properties: {
+    customers: { type: 'array', items: Customer },
+    pagination: Pagination
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * Dead-letter queue admin schemas: DLQ messages with the failure that put
+ * them there, redrive and purge results, and the audit log of those actions.
+ */
+
+import { DeadLetterOutcome, FailureCategory } from '../lib/deadLetters.mjs';
+import { AuditStatus } from '../lib/audit.mjs';
+import { Pagination, Timestamp } from './common.mjs';
+
+const MessageIds = {
+  type: 'array',
+  items: { type: 'string', minLength: 1, maxLength: 100 },
+  minItems: 1,
+  maxItems: 100,
+  uniqueItems: true,
+  description: 'messageId values from GET /dlq/messages'
+};
+
+export const RedriveDeadLettersRequest = {
+  type: 'object',
+  properties: {
+    messageIds: MessageIds,
+    all: { const: true, description: 'move every DLQ message back with an SQS message move task' }
+  },
+  oneOf: [{ required: ['messageIds'] }, { required: ['all'] }],
+  additionalProperties: false,
+  examples: [{ messageIds: ['2f1c0a6e-4b7d-4d0e-9a57-8c1f0e4d2b91'] }, { all: true }]
+};
+
+export const PurgeDeadLettersRequest = {
+  type: 'object',
+  required: ['messageIds'],
+  properties: {
+    messageIds: MessageIds
+  },
+  additionalProperties: false
+};
+
+export const DeadLetter = {
+  type: 'object',
+  required: ['messageId', 'eventType', 'orderId', 'receiveCount', 'event', 'failure'],
+  properties: {
+    messageId: { type: 'string' },
+    eventType: { type: ['string', 'null'], description: 'e.g. OrderCreated' },
+    orderId: { type: ['string', 'null'] },
+    outboxEntryId: { type: ['string', 'null'] },
+    sentAt: { anyOf: [Timestamp, { type: 'null' }] },
+    receiveCount: { type: 'integer', description: 'deliveries so far, including reads by this API' },
+    event: {
+      type: ['object', 'null'],
+      description: 'the parsed message body: { type, timestamp, detail }; null when it is not JSON'
+    },
+    body: { type: 'string', description: 'the raw body, only when it is not JSON' },
+    parseError: { type: 'string' },
+    failure: {
+      type: ['object', 'null'],
+      description: 'why the order processor failed this message; null when it was not recorded',
+      properties: {
+        category: {
+          enum: Object.values(FailureCategory),
+          description: 'PERMANENT failures are parked in the DLQ at once; TRANSIENT ones after 3 attempts'
+        },
+        reason: { type: 'string' },
+        errorCode: { type: ['string', 'null'] },
+        retryable: { type: 'boolean' },
+        receiveCount: { type: 'integer', description: 'delivery on which the processor failed' },
+        failedAt: Timestamp,
+        originalMessageId: { type: 'string', description: 'ID of the message before it was parked' }
+      }
+    }
+  }
+};
+
+export const DeadLetterList = {
+  type: 'object',
+  required: ['messages', 'count', 'approximateCount', 'auditId'],
+  properties: {
+    messages: { type: 'array', items: DeadLetter },
+    count: { type: 'integer' },
+    approximateCount: { type: 'integer', description: 'messages in the DLQ, as SQS estimates it' },
+    auditId: { type: 'string' }
+  }
+};
+
+const DeadLetterSummary = {
+  type: 'object',
+  required: ['requested', 'succeeded', 'failed', 'notFound'],
+  properties: {
+    requested: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    notFound: { type: 'integer' }
+  }
+};
+
+export const DeadLetterActionResult = {
+  type: 'object',
+  required: ['auditId'],
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['messageId', 'status'],
+        properties: {
+          messageId: { type: 'string' },
+          status: { enum: Object.values(DeadLetterOutcome) },
+          newMessageId: { type: 'string', description: 'ID of the message sent to the order events queue' },
+          stillInDlq: { type: 'boolean', description: 'redriven, but the DLQ copy could not be deleted' },
+          reason: { type: 'string' }
+        }
+      }
+    },
+    summary: DeadLetterSummary,
+    auditId: { type: 'string' }
+  }
+};
+
+export const DeadLetterRedriveTask = {
+  type: 'object',
+  required: ['taskHandle', 'approximateCount', 'auditId'],
+  properties: {
+    taskHandle: { type: 'string', description: 'SQS message move task handle' },
+    approximateCount: { type: 'integer', description: 'messages in the DLQ when the task started' },
+    auditId: { type: 'string' }
+  }
+};
+
+export const AuditEntry = {
+  type: 'object',
+  required: ['resource', 'auditId', 'action', 'actor', 'status', 'startedAt'],
+  properties: {
+    resource: { type: 'string' },
+    auditId: { type: 'string' },
+    action: { enum: ['LIST', 'REDRIVE', 'PURGE'] },
+    actor: { type: 'string', description: 'subject of the admin who acted' },
+    requestId: { type: 'string' },
+    request: { type: ['object', 'null'] },
+    status: { enum: Object.values(AuditStatus) },
+    startedAt: Timestamp,
+    completedAt: Timestamp,
+    outcome: { type: ['object', 'null'], description: 'message IDs by result and a summary' },
+    error: { type: ['string', 'null'] }
+  }
+};
+
+export const AuditEntryList = {
+  type: 'object',
+  required: ['entries', 'pagination'],
+  properties: {
+    entries: { type: 'array', items: AuditEntry },
+    pagination: Pagination
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Health check response schema, shared by liveness and readiness.
+ */
+
+import { Timestamp } from './common.mjs';
+
+const ServiceStatus = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { enum: ['healthy', 'degraded', 'unhealthy'] },
+    durationMs: { type: 'integer', description: 'how long the check took' },
+    message: { type: 'string' },
+    error: { type: 'string' }
+  }
+};
+
+export const HealthStatus = {
+  type: 'object',
+  required: ['status', 'timestamp', 'services'],
+  properties: {
+    status: {
+      enum: ['healthy', 'degraded', 'unhealthy'],
+      description: 'the worst status of any service'
+    },
+    timestamp: Timestamp,
+    services: {
+      type: 'object',
+      additionalProperties: ServiceStatus
+    },
+    environment: { type: 'object' }
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Named schemas of the API, published as OpenAPI components.
+ */
+
+import { CurrencyCode, OrderId, Problem, Sku, Totals } from './common.mjs';
+import {
+  ApproveOrderRequest,
+  CancelOrderRequest,
+  CreateOrderBatchRequest,
+  CreateOrderRequest,
+  Order,
+  OrderBatchResult,
+  OrderCreated,
+  OrderExport,
+  OrderItem,
+  OrderList,
+  OrderStatusChange,
+  RejectOrderRequest,
+  UpdateOrderRequest
+} from './orders.mjs';
+import {
+  CreateProductRequest,
+  InventoryAdjustmentRequest,
+  InventoryItem,
+  Product,
+  ProductList,
+  ProductRequest
+} from './catalog.mjs';
+import { MatchedRule, ReviewRule, RulesEvaluation, RulesEvaluationRequest } from './rules.mjs';
+import { HealthStatus } from './health.mjs';
+import { CreateCustomerRequest, Customer, CustomerId, CustomerList } from './customers.mjs';
+import { ApiKey, ApiKeyId, IssueApiKeyRequest, IssuedApiKey, RotateApiKeyRequest } from './apiKeys.mjs';
+import {
+  AuditEntry,
+  AuditEntryList,
+  DeadLetter,
+  DeadLetterActionResult,
+  DeadLetterList,
+  DeadLetterRedriveTask,
+  PurgeDeadLettersRequest,
+  RedriveDeadLettersRequest
+} from './deadLetters.mjs';
+
+export { OPERATIONS, COMMON_PROBLEMS } from './operations.mjs';
+
+export const SCHEMAS = Object.freeze({
+  OrderId,
+  Sku,
+  CurrencyCode,
+  Totals,
+  Problem,
+  CreateOrderRequest,
+  CreateOrderBatchRequest,
+  UpdateOrderRequest,
+  CancelOrderRequest,
+  ApproveOrderRequest,
+  RejectOrderRequest,
+  Order,
+  OrderItem,
+  OrderCreated,
+  OrderBatchResult,
+  OrderList,
+  OrderExport,
+  OrderStatusChange,
+  CustomerId,
+  CreateCustomerRequest,
+  Customer,
+  CustomerList,
+  ProductRequest,
+  CreateProductRequest,
+  Product,
+  ProductList,
+  InventoryAdjustmentRequest,
+  InventoryItem,
+  ReviewRule,
+  MatchedRule,
+  RulesEvaluationRequest,
+  RulesEvaluation,
+  ApiKeyId,
+  IssueApiKeyRequest,
+  RotateApiKeyRequest,
+  ApiKey,
+  IssuedApiKey,
+  DeadLetter,
+  DeadLetterList,
+  RedriveDeadLettersRequest,
+  PurgeDeadLettersRequest,
+  DeadLetterActionResult,
+  DeadLetterRedriveTask,
+  AuditEntry,
+  AuditEntryList,
+  HealthStatus
+});
@@ -0,0 +1,405 @@
+/**
+ * The API contract: every HTTP operation, keyed by the function name its
+ * handler passes to httpHandler().
+ *
+ * Schemas are referenced by their name in SCHEMAS; a request body is required
+ * unless it says `required: false`. httpHandler() validates path parameters,
+ * query parameters and request bodies against them before the handler runs,
+ * and src/lib/openapi.mjs publishes the same table as the OpenAPI document.
+ * Query values are strings, checked as numbers where their schema says so;
+ * handlers still parse them. Headers are documented here but checked by the
+ * handlers; an optional `description` carries rules they enforce across
+ * parameters into the OpenAPI document.
+ *
+ * `access` is 'public' (no token), 'admin' (the admin role) or, by default,
+ * any authenticated caller; handlers scope orders to their owner. Operations
+ * with `apiKeys: true` also accept a partner's X-API-Key, rate limited per key;
+ * `rateLimitCost(body)` is how many tokens such a request takes (default 1); it
+ * runs before validation, so `body` may be anything.
+ * `responseMediaTypes` lists raw bodies (schemas by media type) a status may
+ * carry besides its JSON envelope.
+ */
+
+import { ORDER_STATUSES } from '../lib/orderStatus.mjs';
+
+const ORDER_ID = { id: 'OrderId' };
+const SKU = { sku: 'Sku' };
+const API_KEY_ID = { id: 'ApiKeyId' };
+const CUSTOMER_ID = { id: 'CustomerId' };
+
+// Problems every operation can report
+export const COMMON_PROBLEMS = [429, 500, 503];
+
+const PAGINATION_QUERY = {
+  limit: { schema: { type: 'integer', minimum: 1, maximum: 100 }, description: 'page size' },
+  nextToken: {
+    schema: { type: 'string' },
+    description: 'nextToken from the previous page; only valid with the same filters, for 24 hours'
+  }
+};
+
+// Filters shared by GET /orders and GET /orders/export
+const ORDER_FILTER_QUERY = {
+  status: { schema: { enum: ORDER_STATUSES } },
+  sortOrder: { schema: { enum: ['asc', 'desc'], default: 'desc' }, description: 'by creation time' },
+  createdAfter: { schema: { type: 'string' }, description: 'ISO 8601 date or date-time, exclusive' },
+  createdBefore: { schema: { type: 'string' }, description: 'ISO 8601 date or date-time, exclusive' },
+  customerId: { schema: { type: 'string', format: 'uuid' } },
+  sku: { schema: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$' }, description: 'orders with a line for this SKU' },
+  minTotal: { schema: { type: 'integer', minimum: 0 }, description: 'grand total in minor units, inclusive' },
+  maxTotal: { schema: { type: 'integer', minimum: 0 }, description: 'grand total in minor units, inclusive' }
+};
+
+// The rule handlers enforce on combinations of ORDER_FILTER_QUERY
+const ORDER_FILTER_RULE = 'sku, minTotal and maxTotal need customerId, a non-admin caller, or createdAfter and ' +
+  'createdBefore at most 31 days apart; other combinations are rejected with 400.';
+
+export const OPERATIONS = {
+  createOrder: {
+    method: 'POST',
+    path: '/orders',
+    tag: 'Orders',
+    summary: 'Create an order priced from the product catalog',
+    apiKeys: true,
+    headers: {
+      'Idempotency-Key': {
+        schema: { type: 'string', maxLength: 255 },
+        description: 'retries with the same key replay the original response'
+      }
+    },
+    requestBody: { schema: 'CreateOrderRequest' },
+    responses: { 201: 'OrderCreated' },
+    responseHeaders: { 'Idempotent-Replayed': 'set to true when the response is a replay' },
+    problems: [400, 409, 422]
+  },
+  createOrderBatch: {
+    method: 'POST',
+    path: '/orders:batch',
+    tag: 'Orders',
+    summary: 'Create up to 100 orders, reporting success or failure per order',
+    description: 'Each order is validated and priced on its own, so an invalid order does not fail the ' +
+      'others. Idempotency-Key is not supported: resubmit only the orders that failed. ' +
+      'Partner API keys are charged one rate-limit token per order.',
+    apiKeys: true,
+    rateLimitCost: body => (Array.isArray(body?.orders) ? Math.max(body.orders.length, 1) : 1),
+    requestBody: { schema: 'CreateOrderBatchRequest' },
+    responses: { 200: 'OrderBatchResult' },
+    problems: [400]
+  },
+  listOrders: {
+    method: 'GET',
+    path: '/orders',
+    tag: 'Orders',
+    summary: 'List the caller\'s orders (every order for admins), optionally filtered',
+    description: `${ORDER_FILTER_RULE} Filtered pages may hold fewer orders than limit while hasMore is still true.`,
+    apiKeys: true,
+    query: {
+      ...PAGINATION_QUERY,
+      ...ORDER_FILTER_QUERY
+    },
+    responses: { 200: 'OrderList' },
+    problems: [400]
+  },
+  exportOrders: {
+    method: 'GET',
+    path: '/orders/export',
+    tag: 'Orders',
+    summary: 'Export every order GET /orders would list, as CSV or NDJSON',
+    description: 'CSV has one row per line item, amounts in major units; NDJSON has one order per line. ' +
+      'Exports up to 4 MB are returned as the file itself; larger ones are written to S3 and the ' +
+      `response carries a presigned download URL instead. ${ORDER_FILTER_RULE}`,
+    apiKeys: true,
+    query: {
+      format: { schema: { enum: ['csv', 'ndjson'], default: 'csv' } },
+      ...ORDER_FILTER_QUERY
+    },
+    responses: { 200: 'OrderExport' },
+    responseMediaTypes: {
+      200: { 'text/csv': { type: 'string' }, 'application/x-ndjson': { type: 'string' } }
+    },
+    problems: [400]
+  },
+  getOrder: {
+    method: 'GET',
+    path: '/orders/{id}',
+    tag: 'Orders',
+    summary: 'Get an order',
+    apiKeys: true,
+    pathParameters: ORDER_ID,
+    responses: { 200: 'Order' },
+    responseHeaders: { ETag: 'current order version; send it in If-Match to update the order' },
+    problems: [400, 404]
+  },
+  updateOrder: {
+    method: 'PATCH',
+    path: '/orders/{id}',
+    tag: 'Orders',
+    summary: 'Change the customer name or items of a pending order',
+    pathParameters: ORDER_ID,
+    headers: {
+      'If-Match': { schema: { type: 'string' }, required: true, description: 'ETag of the order being changed' }
+    },
+    requestBody: { schema: 'UpdateOrderRequest' },
+    responses: { 200: 'Order' },
+    responseHeaders: { ETag: 'new order version' },
+    problems: [400, 404, 409, 412, 428]
+  },
+  cancelOrder: {
+    method: 'POST',
+    path: '/orders/{id}/cancel',
+    tag: 'Orders',
+    summary: 'Cancel an order and release its reserved stock',
+    pathParameters: ORDER_ID,
+    requestBody: { schema: 'CancelOrderRequest', required: false },
+    responses: { 200: 'OrderStatusChange' },
+    problems: [400, 404, 409]
+  },
+  approveOrder: {
+    method: 'POST',
+    path: '/orders/{id}/approve',
+    tag: 'Orders',
+    summary: 'Approve an order awaiting review',
+    access: 'admin',
+    pathParameters: ORDER_ID,
+    requestBody: { schema: 'ApproveOrderRequest', required: false },
+    responses: { 200: 'OrderStatusChange' },
+    problems: [400, 404, 409]
+  },
+  rejectOrder: {
+    method: 'POST',
+    path: '/orders/{id}/reject',
+    tag: 'Orders',
+    summary: 'Reject an order awaiting review and release its reserved stock',
+    access: 'admin',
+    pathParameters: ORDER_ID,
+    requestBody: { schema: 'RejectOrderRequest' },
+    responses: { 200: 'OrderStatusChange' },
+    problems: [400, 404, 409]
+  },
+  createCustomer: {
+    method: 'POST',
+    path: '/customers',
+    tag: 'Customers',
+    summary: 'Create a customer; names that differ only in case, punctuation or legal suffix are duplicates',
+    apiKeys: true,
+    requestBody: { schema: 'CreateCustomerRequest' },
+    responses: { 201: 'Customer' },
+    problems: [400, 409]
+  },
+  listCustomers: {
+    method: 'GET',
+    path: '/customers',
+    tag: 'Customers',
+    summary: 'List customers, in no particular order',
+    access: 'admin',
+    query: PAGINATION_QUERY,
+    responses: { 200: 'CustomerList' },
+    problems: [400]
+  },
+  getCustomer: {
+    method: 'GET',
+    path: '/customers/{id}',
+    tag: 'Customers',
+    summary: 'Get a customer (only one the caller created unless admin)',
+    apiKeys: true,
+    pathParameters: CUSTOMER_ID,
+    responses: { 200: 'Customer' },
+    problems: [400, 404]
+  },
+  listCustomerOrders: {
+    method: 'GET',
+    path: '/customers/{id}/orders',
+    tag: 'Customers',
+    summary: 'List a customer\'s orders by creation time (only customers the caller created unless admin)',
+    apiKeys: true,
+    pathParameters: CUSTOMER_ID,
+    query: {
+      ...PAGINATION_QUERY,
+      sortOrder: { schema: { enum: ['asc', 'desc'], default: 'desc' }, description: 'by creation time' }
+    },
+    responses: { 200: 'OrderList' },
+    problems: [400, 404]
+  },
+  listProducts: {
+    method: 'GET',
+    path: '/products',
+    tag: 'Catalog',
+    summary: 'List products',
+    query: {
+      ...PAGINATION_QUERY,
+      active: { schema: { enum: ['true', 'false'] } }
+    },
+    responses: { 200: 'ProductList' },
+    problems: [400]
+  },
+  createProduct: {
+    method: 'POST',
+    path: '/products',
+    tag: 'Catalog',
+    summary: 'Add a product to the catalog',
+    access: 'admin',
+    requestBody: { schema: 'CreateProductRequest' },
+    responses: { 201: 'Product' },
+    problems: [400, 409]
+  },
+  getProduct: {
+    method: 'GET',
+    path: '/products/{sku}',
+    tag: 'Catalog',
+    summary: 'Get a product',
+    pathParameters: SKU,
+    responses: { 200: 'Product' },
+    problems: [400, 404]
+  },
+  updateProduct: {
+    method: 'PUT',
+    path: '/products/{sku}',
+    tag: 'Catalog',
+    summary: 'Replace a product; existing orders keep their prices',
+    access: 'admin',
+    pathParameters: SKU,
+    requestBody: { schema: 'ProductRequest' },
+    responses: { 200: 'Product' },
+    problems: [400, 404]
+  },
+  getInventory: {
+    method: 'GET',
+    path: '/inventory/{sku}',
+    tag: 'Inventory',
+    summary: 'Get available and reserved stock for a SKU',
+    pathParameters: SKU,
+    responses: { 200: 'InventoryItem' },
+    problems: [400]
+  },
+  adjustInventory: {
+    method: 'POST',
+    path: '/inventory/{sku}/adjustments',
+    tag: 'Inventory',
+    summary: 'Add or remove available stock',
+    access: 'admin',
+    pathParameters: SKU,
+    requestBody: { schema: 'InventoryAdjustmentRequest' },
+    responses: { 200: 'InventoryItem' },
+    problems: [400, 409]
+  },
+  evaluateRules: {
+    method: 'POST',
+    path: '/rules/evaluate',
+    tag: 'Rules',
+    summary: 'Dry-run review rules against a sample or stored order',
+    access: 'admin',
+    requestBody: { schema: 'RulesEvaluationRequest' },
+    responses: { 200: 'RulesEvaluation' },
+    problems: [400, 404]
+  },
+  issueApiKey: {
+    method: 'POST',
+    path: '/api-keys',
+    tag: 'Partners',
+    summary: 'Issue an API key for a partner integration',
+    access: 'admin',
+    requestBody: { schema: 'IssueApiKeyRequest' },
+    responses: { 201: 'IssuedApiKey' },
+    problems: [400]
+  },
+  rotateApiKey: {
+    method: 'POST',
+    path: '/api-keys/{id}/rotate',
+    tag: 'Partners',
+    summary: 'Replace an API key\'s secret; the old one works until the grace period ends',
+    access: 'admin',
+    pathParameters: API_KEY_ID,
+    requestBody: { schema: 'RotateApiKeyRequest', required: false },
+    responses: { 200: 'IssuedApiKey' },
+    problems: [400, 404, 409]
+  },
+  revokeApiKey: {
+    method: 'POST',
+    path: '/api-keys/{id}/revoke',
+    tag: 'Partners',
+    summary: 'Revoke an API key immediately',
+    access: 'admin',
+    pathParameters: API_KEY_ID,
+    responses: { 200: 'ApiKey' },
+    problems: [400, 404]
+  },
+  listDeadLetters: {
+    method: 'GET',
+    path: '/dlq/messages',
+    tag: 'Operations',
+    summary: 'Read messages from the order events dead-letter queue with the failure that put them there',
+    description: 'SQS cannot page through a queue, so this returns up to limit messages SQS hands out; ' +
+      'they stay in the DLQ. Every call is recorded in the audit log.',
+    access: 'admin',
+    query: {
+      limit: { schema: { type: 'integer', minimum: 1, maximum: 100, default: 25 } }
+    },
+    responses: { 200: 'DeadLetterList' },
+    problems: [400]
+  },
+  redriveDeadLetters: {
+    method: 'POST',
+    path: '/dlq/redrive',
+    tag: 'Operations',
+    summary: 'Send selected DLQ messages, or all of them, back to the order events queue',
+    description: 'Selected messages are sent back at once and reported one by one. With all: true an SQS ' +
+      'message move task is started instead (202); SQS runs one such task at a time. Every call is ' +
+      'recorded in the audit log.',
+    access: 'admin',
+    requestBody: { schema: 'RedriveDeadLettersRequest' },
+    responses: { 200: 'DeadLetterActionResult', 202: 'DeadLetterRedriveTask' },
+    problems: [400]
+  },
+  purgeDeadLetters: {
+    method: 'POST',
+    path: '/dlq/purge',
+    tag: 'Operations',
+    summary: 'Delete selected messages from the DLQ for good',
+    description: 'Every call is recorded in the audit log.',
+    access: 'admin',
+    requestBody: { schema: 'PurgeDeadLettersRequest' },
+    responses: { 200: 'DeadLetterActionResult' },
+    problems: [400]
+  },
+  listDeadLetterAudit: {
+    method: 'GET',
+    path: '/dlq/audit',
+    tag: 'Operations',
+    summary: 'Audit log of DLQ reads, redrives and purges, newest first',
+    access: 'admin',
+    query: PAGINATION_QUERY,
+    responses: { 200: 'AuditEntryList' },
+    problems: [400]
+  },
+  healthLive: {
+    method: 'GET',
+    path: '/health/live',
+    tag: 'Operations',
+    summary: 'Liveness: the function is running; no dependency is called',
+    access: 'public',
+    // The health report is the whole body, not wrapped in { success, data }
+    envelope: false,
+    responses: { 200: 'HealthStatus' }
+  },
+  healthReady: {
+    method: 'GET',
+    path: '/health/ready',
+    tag: 'Operations',
+    summary: 'Readiness: check the orders table, the order events queue and its DLQ',
+    description: 'Each check runs under its own timeout. degraded (still 200) means the service can ' +
+      'serve requests but a queue is backed up, the DLQ holds messages or a queue is unreachable; ' +
+      'unhealthy (503) means the orders table is unavailable.',
+    access: 'public',
+    envelope: false,
+    responses: { 200: 'HealthStatus', 503: 'HealthStatus' }
+  },
+  getOpenApiDocument: {
+    method: 'GET',
+    path: '/openapi.json',
+    tag: 'Operations',
+    summary: 'This OpenAPI document',
+    access: 'public',
+    envelope: false,
+    responses: { 200: { type: 'object' } }
+  }
+};
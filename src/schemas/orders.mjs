@@ -0,0 +1,256 @@
+/**
+ * Order request and response schemas.
+ *
+ * Clients only choose SKUs and quantities; prices, currency per line and
+ * totals come from the product catalog, so request items reject them.
+ */
+
+import { ORDER_STATUSES } from '../lib/orderStatus.mjs';
+import {
+  CurrencyCode,
+  MinorUnits,
+  OrderId,
+  Pagination,
+  Problem,
+  Quantity,
+  Sku,
+  Timestamp,
+  Totals,
+  nonBlankString,
+  optionalString
+} from './common.mjs';
+import { MatchedRule } from './rules.mjs';
+import { CustomerId } from './customers.mjs';
+
+// Stock is reserved and released for every line inside one transaction (at most 100 items)
+export const MAX_ORDER_LINES = 50;
+
+export const MAX_BATCH_ORDERS = 100;
+
+const CustomerName = nonBlankString(200);
+
+const OrderItemRequest = {
+  type: 'object',
+  required: ['sku', 'qty'],
+  properties: {
+    sku: Sku,
+    qty: Quantity
+  },
+  additionalProperties: false
+};
+
+const OrderItemsRequest = {
+  type: 'array',
+  minItems: 1,
+  maxItems: MAX_ORDER_LINES,
+  items: OrderItemRequest
+};
+
+// An order names its customer by ID, or by name to find or create the customer
+export const CreateOrderRequest = {
+  type: 'object',
+  required: ['items'],
+  anyOf: [{ required: ['customerId'] }, { required: ['customerName'] }],
+  properties: {
+    // Wins over customerName, which is then taken from the customer
+    customerId: CustomerId,
+    customerName: CustomerName,
+    // Defaults to the catalog currency of the items
+    currency: CurrencyCode,
+    items: OrderItemsRequest
+  },
+  examples: [{ customerName: 'Jane Doe', items: [{ sku: 'WIDGET-1', qty: 2 }] }]
+};
+
+// Each order is validated against CreateOrderRequest on its own, so one bad order fails only itself
+export const CreateOrderBatchRequest = {
+  type: 'object',
+  required: ['orders'],
+  properties: {
+    orders: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_BATCH_ORDERS,
+      items: { type: 'object' }
+    }
+  },
+  additionalProperties: false,
+  examples: [{
+    orders: [
+      { customerName: 'Jane Doe', items: [{ sku: 'WIDGET-1', qty: 2 }] },
+      { customerName: 'Acme Inc', items: [{ sku: 'GADGET-7', qty: 1 }] }
+    ]
+  }]
+};
+
+// PATCH accepts any non-empty subset of the fields a client may change
+export const UpdateOrderRequest = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    customerId: CustomerId,
+    customerName: CustomerName,
+    items: OrderItemsRequest
+  },
+  additionalProperties: false
+};
+
+export const CancelOrderRequest = {
+  type: 'object',
+  properties: {
+    reason: optionalString(500)
+  }
+};
+
+// The reviewer is the authenticated caller, never a name from the body
+export const ApproveOrderRequest = {
+  type: 'object',
+  properties: {
+    reason: optionalString(500)
+  }
+};
+
+export const RejectOrderRequest = {
+  type: 'object',
+  required: ['reason'],
+  properties: {
+    reason: nonBlankString(500)
+  }
+};
+
+export const OrderItem = {
+  type: 'object',
+  required: ['sku', 'qty', 'unitPrice', 'currency', 'lineTotal'],
+  properties: {
+    sku: Sku,
+    name: { type: 'string' },
+    qty: Quantity,
+    unitPrice: MinorUnits,
+    currency: CurrencyCode,
+    lineTotal: MinorUnits
+  }
+};
+
+export const Order = {
+  type: 'object',
+  required: ['id', 'customerName', 'items', 'totals', 'status', 'version', 'createdAt', 'updatedAt'],
+  properties: {
+    id: OrderId,
+    ownerId: { type: 'string', description: 'subject of the token that created the order' },
+    partnerId: { type: 'string', description: 'partner whose API key created the order' },
+    customerId: CustomerId,
+    customerName: { type: 'string' },
+    items: { type: 'array', items: OrderItem },
+    skus: { type: 'array', items: Sku, description: 'distinct SKUs of the items, for filtering' },
+    totals: Totals,
+    status: { enum: ORDER_STATUSES },
+    version: { type: 'integer', description: 'incremented on every change; sent as the ETag' },
+    createdAt: Timestamp,
+    updatedAt: Timestamp,
+    itemCount: { type: 'integer' },
+    orderTotal: { type: 'number', description: 'grand total in major units, for display only' },
+    processingNotes: { type: 'string' },
+    matchedRules: { type: 'array', items: MatchedRule },
+    review: {
+      type: 'object',
+      properties: {
+        decision: { enum: ['APPROVED', 'REJECTED'] },
+        decidedBy: { type: 'string', description: 'subject of the admin who decided' },
+        decidedAt: Timestamp,
+        reason: { type: ['string', 'null'] }
+      }
+    },
+    cancellationReason: { type: ['string', 'null'] },
+    cancelledAt: Timestamp
+  }
+};
+
+export const OrderCreated = {
+  type: 'object',
+  required: ['id', 'status', 'totals', 'createdAt'],
+  properties: {
+    id: OrderId,
+    status: { enum: ORDER_STATUSES },
+    totals: Totals,
+    createdAt: Timestamp
+  }
+};
+
+// One result per submitted order, in request order
+export const OrderBatchResult = {
+  type: 'object',
+  required: ['results', 'summary'],
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'status'],
+        properties: {
+          index: { type: 'integer', description: 'position of the order in the request' },
+          status: { type: 'integer', description: '201 when the order was created, otherwise the problem status' },
+          data: OrderCreated,
+          problem: { ...Problem, description: 'as POST /orders would report it; pointers are relative to the order' }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      required: ['total', 'created', 'failed'],
+      properties: {
+        total: { type: 'integer' },
+        created: { type: 'integer' },
+        failed: { type: 'integer' }
+      }
+    }
+  }
+};
+
+export const OrderList = {
+  type: 'object',
+  required: ['orders', 'pagination'],
+  properties: {
+    orders: { type: 'array', items: Order },
+    pagination: Pagination,
+    filters: {
+      type: 'object',
+      properties: {
+        customerId: { anyOf: [CustomerId, { type: 'null' }] },
+        status: { enum: [...ORDER_STATUSES, null] },
+        sortOrder: { enum: ['asc', 'desc'] },
+        createdAfter: { type: ['string', 'null'], format: 'date-time' },
+        createdBefore: { type: ['string', 'null'], format: 'date-time' },
+        sku: { type: ['string', 'null'] },
+        minTotal: { type: ['integer', 'null'] },
+        maxTotal: { type: ['integer', 'null'] }
+      }
+    }
+  }
+};
+
+// Returned instead of the file when an export is too large to send inline
+export const OrderExport = {
+  type: 'object',
+  required: ['format', 'url', 'expiresAt', 'orderCount', 'bytes'],
+  properties: {
+    format: { enum: ['csv', 'ndjson'] },
+    url: { type: 'string', description: 'presigned S3 URL of the export file' },
+    expiresAt: Timestamp,
+    orderCount: { type: 'integer' },
+    bytes: { type: 'integer' },
+    filters: OrderList.properties.filters
+  }
+};
+
+// Result of a cancellation or review decision
+export const OrderStatusChange = {
+  type: 'object',
+  required: ['id', 'status', 'previousStatus'],
+  properties: {
+    id: OrderId,
+    status: { enum: ORDER_STATUSES },
+    previousStatus: { enum: ORDER_STATUSES },
+    cancelledAt: Timestamp,
+    review: Order.properties.review
+  }
+};
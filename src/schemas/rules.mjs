@@ -0,0 +1,121 @@
+/**
+ * Review rule schemas for POST /rules/evaluate.
+ *
+ * These describe the shape of a rule; validateRules() in the rules engine
+ * still checks what a schema cannot, such as duplicate IDs and regular
+ * expressions, for both proposed and deployed rules.
+ */
+
+import { RuleAction } from '../lib/rulesEngine.mjs';
+import { ORDER_STATUSES } from '../lib/orderStatus.mjs';
+import { CurrencyCode, MajorUnits, OrderId, Quantity, Sku, Totals } from './common.mjs';
+
+const Comparison = {
+  type: 'object',
+  properties: {
+    gt: { type: 'number' },
+    gte: { type: 'number' },
+    lt: { type: 'number' },
+    lte: { type: 'number' },
+    eq: { type: 'number' }
+  }
+};
+
+export const ReviewRule = {
+  type: 'object',
+  required: ['id', 'action', 'reason', 'when'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    action: { enum: Object.values(RuleAction) },
+    reason: { type: 'string', minLength: 1 },
+    enabled: { type: 'boolean', default: true },
+    when: {
+      type: 'object',
+      minProperties: 1,
+      properties: {
+        itemCount: Comparison,
+        // Thresholds are grand totals in major units of `currency` (DEFAULT_CURRENCY when left out)
+        total: {
+          ...Comparison,
+          properties: { ...Comparison.properties, currency: CurrencyCode }
+        },
+        customer: {
+          type: 'object',
+          properties: {
+            in: { type: 'array', items: { type: 'string' } },
+            pattern: { type: 'string', description: 'a case-insensitive regular expression' }
+          }
+        },
+        sku: {
+          type: 'object',
+          required: ['anyOf'],
+          properties: {
+            anyOf: { type: 'array', minItems: 1, items: { type: 'string' } }
+          }
+        }
+      },
+      additionalProperties: false
+    }
+  }
+};
+
+// A hypothetical order carries its own prices, in major units
+const SampleOrder = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    customerName: { type: 'string' },
+    currency: CurrencyCode,
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['sku', 'qty', 'price'],
+        properties: {
+          sku: Sku,
+          qty: Quantity,
+          price: MajorUnits
+        }
+      }
+    }
+  }
+};
+
+export const RulesEvaluationRequest = {
+  type: 'object',
+  oneOf: [
+    { required: ['order'] },
+    { required: ['orderId'] }
+  ],
+  properties: {
+    order: SampleOrder,
+    orderId: OrderId,
+    // Proposed rules to try instead of the deployed ones
+    rules: { type: 'array', items: ReviewRule }
+  },
+  examples: [{ order: { items: [{ sku: 'WIDGET-1', qty: 3, price: 5000 }] } }]
+};
+
+export const MatchedRule = {
+  type: 'object',
+  required: ['id', 'action', 'reason'],
+  properties: {
+    id: { type: 'string' },
+    action: { enum: Object.values(RuleAction) },
+    reason: { type: 'string' }
+  }
+};
+
+export const RulesEvaluation = {
+  type: 'object',
+  required: ['newStatus', 'matchedRules', 'processingNotes', 'rulesSource', 'rulesEvaluated', 'totals'],
+  properties: {
+    newStatus: { enum: ORDER_STATUSES },
+    matchedRules: { type: 'array', items: MatchedRule },
+    processingNotes: { type: 'string' },
+    rulesSource: { enum: ['request', 'table', 'config'] },
+    rulesEvaluated: { type: 'integer' },
+    totals: Totals
+  }
+};
@@ -0,0 +1,74 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TextEncoder } from 'node:util';
+import { SignJWT } from 'jose';
+
+// Read at import time by the modules under test
+Object.assign(process.env, {
+  TABLE_NAME: 'orders',
+  OUTBOX_TABLE_NAME: 'outbox',
+  JWT_SECRET: 'test-secret'
+});
+delete process.env.JWKS_URL;
+delete process.env.JWKS;
+
+const { approveHandler } = await import('../../src/handlers/httpReviewOrder.mjs');
+const { ddbDocClient } = await import('../../src/lib/clients.mjs');
+
+const ORDER_ID = '550e8400-e29b-41d4-a716-446655440000';
+
+async function adminToken(subject) {
+  return new SignJWT({ roles: ['admin'] })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(subject)
+    .setIssuedAt()
+    .setExpirationTime('5m')
+    .sign(new TextEncoder().encode(process.env.JWT_SECRET));
+}
+
+describe('approveHandler', () => {
+  const writes = [];
+
+  before(() => {
+    mock.method(ddbDocClient, 'send', async command => {
+      switch (command.constructor.name) {
+      case 'GetCommand':
+        return {
+          Item: {
+            id: ORDER_ID,
+            status: 'PENDING_APPROVAL',
+            version: 3,
+            items: [{ sku: 'WIDGET-1', name: 'Widget', qty: 1, unitPrice: 1000, currency: 'USD', lineTotal: 1000 }]
+          }
+        };
+      case 'TransactWriteCommand':
+        writes.push(command.input.TransactItems);
+        return {};
+      default:
+        throw new Error(`Unexpected ${command.constructor.name}`);
+      }
+    });
+  });
+
+  after(() => mock.restoreAll());
+
+  it('approves an order when the request has no body', async () => {
+    const response = await approveHandler({
+      rawPath: `/orders/${ORDER_ID}/approve`,
+      requestContext: { http: { method: 'POST' } },
+      headers: { authorization: `Bearer ${await adminToken('admin-1')}` },
+      pathParameters: { id: ORDER_ID }
+    });
+
+    assert.equal(response.statusCode, 200, response.body);
+    const { data } = JSON.parse(response.body);
+    assert.equal(data.status, 'CONFIRMED');
+    assert.equal(data.previousStatus, 'PENDING_APPROVAL');
+    assert.deepEqual({ decidedBy: data.review.decidedBy, reason: data.review.reason }, { decidedBy: 'admin-1', reason: null });
+
+    assert.equal(writes.length, 1);
+    const [[{ Update: update }]] = writes;
+    assert.equal(update.ExpressionAttributeValues[':status'], 'CONFIRMED');
+    assert.equal(update.ExpressionAttributeValues[':expectedVersion'], 3);
+  });
+});
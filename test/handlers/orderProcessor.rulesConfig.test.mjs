@@ -0,0 +1,94 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read at import time by the modules under test
+Object.assign(process.env, {
+  TABLE_NAME: 'orders',
+  INVENTORY_TABLE_NAME: 'inventory',
+  MESSAGE_FAILURES_TABLE_NAME: 'message-failures',
+  RULES_TABLE_NAME: 'rules',
+  DLQ_URL: 'https://sqs.us-east-1.amazonaws.com/123456789012/order-events-dlq'
+});
+
+const { handler } = await import('../../src/handlers/orderProcessor.mjs');
+const { ddbDocClient, sqsClient } = await import('../../src/lib/clients.mjs');
+
+const ORDER_ID = 'order-rules-config';
+
+const event = {
+  Records: [{
+    messageId: 'msg-rules-config',
+    receiptHandle: 'AQEB-rules-config',
+    body: JSON.stringify({ type: 'OrderCreated', timestamp: '2025-10-09T08:00:00.000Z', detail: { id: ORDER_ID } }),
+    attributes: { ApproximateReceiveCount: '1', SentTimestamp: '1760000000000' },
+    messageAttributes: { eventType: { stringValue: 'OrderCreated', dataType: 'String' } },
+    eventSource: 'aws:sqs',
+    eventSourceARN: 'arn:aws:sqs:us-east-1:123456789012:order-events',
+    awsRegion: 'us-east-1'
+  }]
+};
+
+describe('orderProcessor handler with invalid review rules', () => {
+  const parked = [];
+  const recorded = [];
+  const updates = [];
+  // What the rules table holds; the test fixes it between deliveries
+  let rules = [{ id: 'high-value', action: 'ESCALATE', reason: 'High-value order', when: { total: { gt: 10000 } } }];
+
+  before(() => {
+    mock.method(ddbDocClient, 'send', async command => {
+      const { input } = command;
+      switch (command.constructor.name) {
+      case 'ScanCommand':
+        return { Items: rules };
+      case 'GetCommand':
+        return {
+          Item: {
+            id: ORDER_ID,
+            status: 'PENDING',
+            version: 1,
+            items: [{ sku: 'WIDGET-1', name: 'Widget', qty: 1, unitPrice: 1000, currency: 'USD', lineTotal: 1000 }],
+            totals: { currency: 'USD', subtotal: 1000, tax: 0, total: 1000 }
+          }
+        };
+      case 'TransactWriteCommand':
+        updates.push(input.TransactItems[0].Update);
+        return {};
+      case 'PutCommand':
+        recorded.push(input.Item);
+        return {};
+      default:
+        throw new Error(`Unexpected ${command.constructor.name}`);
+      }
+    });
+    mock.method(sqsClient, 'send', async command => {
+      parked.push(command.input);
+      return { MessageId: `parked-${parked.length}` };
+    });
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => mock.restoreAll());
+
+  it('retries the message instead of parking it', async () => {
+    const result = await handler(event);
+
+    assert.deepEqual(result.batchItemFailures, [{ itemIdentifier: 'msg-rules-config' }]);
+    assert.equal(parked.length, 0);
+    assert.deepEqual(recorded.map(({ errorCode, retryable }) => ({ errorCode, retryable })), [
+      { errorCode: 'RulesConfigError', retryable: true }
+    ]);
+    assert.equal(updates.length, 0);
+  });
+
+  it('processes the redelivered message once the rules are fixed', async () => {
+    rules = [{ ...rules[0], action: 'APPROVAL' }];
+
+    const result = await handler(event);
+
+    assert.deepEqual(result.batchItemFailures, []);
+    assert.equal(parked.length, 0);
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].ExpressionAttributeValues[':status'], 'CONFIRMED');
+  });
+});
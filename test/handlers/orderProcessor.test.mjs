@@ -0,0 +1,149 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// Read at import time by the modules under test
+Object.assign(process.env, {
+  TABLE_NAME: 'orders',
+  INVENTORY_TABLE_NAME: 'inventory',
+  MESSAGE_FAILURES_TABLE_NAME: 'message-failures',
+  DLQ_URL: 'https://sqs.us-east-1.amazonaws.com/123456789012/order-events-dlq'
+});
+delete process.env.RULES_TABLE_NAME;
+
+const { handler } = await import('../../src/handlers/orderProcessor.mjs');
+const { ddbDocClient, sqsClient } = await import('../../src/lib/clients.mjs');
+
+const event = JSON.parse(readFileSync(new URL('../fixtures/orderEvents.sqs.json', import.meta.url), 'utf8'));
+
+function awsError(name, message, fields = {}) {
+  return Object.assign(new Error(message), { name, $metadata: { httpStatusCode: 400 }, ...fields });
+}
+
+function storedOrder(id) {
+  return {
+    id,
+    status: 'PENDING',
+    version: 1,
+    customerName: 'Test Customer',
+    currency: 'USD',
+    items: [{ sku: 'WIDGET-1', name: 'Widget', qty: 1, unitPrice: 1000, currency: 'USD', lineTotal: 1000 }],
+    subtotal: 1000,
+    tax: 0,
+    total: 1000
+  };
+}
+
+// Every failure mode of the fixture, by order ID
+const getOrder = {
+  'order-throttled': () => {
+    throw awsError('ThrottlingException', 'Rate exceeded');
+  },
+  'order-connection-reset': () => {
+    throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET', $metadata: { attempts: 3 } });
+  },
+  'order-condition-failed': () => ({ Item: storedOrder('order-condition-failed') }),
+  'order-no-items': () => ({ Item: { ...storedOrder('order-no-items'), items: [], subtotal: 0, total: 0 } })
+};
+
+describe('orderProcessor handler', () => {
+  const parked = [];
+  const recorded = [];
+  const metrics = [];
+  const written = [];
+  let result;
+
+  before(async () => {
+    mock.method(ddbDocClient, 'send', async command => {
+      const { input } = command;
+      switch (command.constructor.name) {
+      case 'GetCommand':
+        return getOrder[input.Key.id]();
+      case 'TransactWriteCommand':
+        if (input.TransactItems.length === 1) {
+          // Nothing to reserve, so only the order is written
+          written.push(input.TransactItems[0].Update);
+          return {};
+        }
+        // The order write passes; the stock reservation finds nothing left
+        throw awsError('TransactionCanceledException', 'Transaction cancelled', {
+          CancellationReasons: [
+            { Code: 'None' },
+            { Code: 'ConditionalCheckFailed', Item: { available: { N: '0' }, backorderable: { BOOL: false } } }
+          ]
+        });
+      case 'UpdateCommand':
+        // The order was cancelled meanwhile
+        throw awsError('ConditionalCheckFailedException', 'The conditional request failed', {
+          Item: { status: { S: 'CANCELLED' }, version: { N: '2' } }
+        });
+      case 'PutCommand':
+        recorded.push(input.Item);
+        return {};
+      default:
+        throw new Error(`Unexpected ${command.constructor.name}`);
+      }
+    });
+    mock.method(sqsClient, 'send', async command => {
+      assert.equal(command.constructor.name, 'SendMessageCommand');
+      parked.push(command.input);
+      return { MessageId: `parked-${parked.length}` };
+    });
+    mock.method(console, 'log', line => {
+      if (line.includes('"_aws"')) {
+        metrics.push(JSON.parse(line));
+      }
+    });
+
+    result = await handler(event);
+  });
+
+  after(() => mock.restoreAll());
+
+  it('parks a body that is not JSON in the DLQ instead of retrying it', () => {
+    assert.equal(parked.length, 1);
+    const [message] = parked;
+    assert.equal(message.QueueUrl, process.env.DLQ_URL);
+    assert.equal(message.MessageBody, event.Records[0].body);
+    assert.equal(message.MessageAttributes.failureCategory.StringValue, 'PERMANENT');
+    assert.equal(message.MessageAttributes.failureCode.StringValue, 'InvalidMessageBody');
+    assert.equal(message.MessageAttributes.originalMessageId.StringValue, 'msg-parse-error');
+    assert.equal(message.MessageAttributes.eventType.StringValue, 'OrderCreated');
+  });
+
+  it('returns throttled and network failures as batch item failures', () => {
+    assert.deepEqual(result.batchItemFailures.map(failure => failure.itemIdentifier), [
+      'msg-throttled',
+      'msg-connection-reset'
+    ]);
+    assert.deepEqual(recorded.map(({ messageId, errorCode, retryable }) => ({ messageId, errorCode, retryable })), [
+      { messageId: 'msg-throttled', errorCode: 'ThrottlingException', retryable: true },
+      { messageId: 'msg-connection-reset', errorCode: 'ECONNRESET', retryable: true }
+    ]);
+  });
+
+  it('acknowledges an order whose status changed before the conditional write', () => {
+    const failedIds = [...result.batchItemFailures.map(failure => failure.itemIdentifier),
+      ...parked.map(message => message.MessageAttributes.originalMessageId.StringValue)];
+    assert.ok(!failedIds.includes('msg-condition-failed'));
+  });
+
+  it('sends an order that cannot be confirmed to review instead of leaving it pending', () => {
+    assert.equal(written.length, 1);
+    const [update] = written;
+    assert.equal(update.Key.id, 'order-no-items');
+    assert.equal(update.ExpressionAttributeValues[':status'], 'PENDING_REVIEW');
+    assert.match(update.ExpressionAttributeValues[':processingNotes'], /cannot move to CONFIRMED: order has no items/);
+  });
+
+  it('counts each failure category in the batch metrics', () => {
+    assert.equal(metrics.length, 1);
+    const [entry] = metrics;
+    assert.equal(entry.Service, 'order-processor');
+    assert.equal(entry.MessagesProcessed, 5);
+    assert.equal(entry.MessagesSucceeded, 2);
+    assert.equal(entry.TransientFailures, 2);
+    assert.equal(entry.PermanentFailures, 1);
+    assert.equal(entry.ParkingFailures, 0);
+  });
+});
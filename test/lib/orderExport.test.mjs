@@ -0,0 +1,253 @@
+import { after, before, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+
+/*
+ * exportOrders() against an S3 stand-in. By default the uploads go to the
+ * in-process server below; set S3_ENDPOINT to run them against MinIO or
+ * LocalStack instead, e.g.
+ *
+ *   S3_ENDPOINT=http://localhost:9000 AWS_ACCESS_KEY_ID=minioadmin \
+ *     AWS_SECRET_ACCESS_KEY=minioadmin npm run test:export
+ */
+
+process.env.AWS_REGION ??= 'us-east-1';
+process.env.TABLE_NAME = 'orders';
+
+const { CreateBucketCommand, S3Client } = await import('@aws-sdk/client-s3');
+const { parseListQuery, planOrderListing } = await import('../../src/lib/orderListing.mjs');
+const { exportOrders } = await import('../../src/lib/orderExport.mjs');
+
+const BUCKET = process.env.EXPORT_TEST_BUCKET || 'order-exports-test';
+
+// lib-storage uploads in 5 MiB parts; more than one part makes it a real multipart upload
+const MULTIPART_ORDER_COUNT = 20000;
+
+const CUSTOMER_ID = '11111111-1111-4111-8111-111111111111';
+
+// One customer's orders, read with a single index query rather than merged across list shards
+const plan = planOrderListing({ subject: 'admin', isAdmin: true }, parseListQuery({ customerId: CUSTOMER_ID }));
+
+async function readBody(request) {
+  const chunks = [];
+  for await (const chunk of request) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function xml(response, body) {
+  response.writeHead(200, { 'content-type': 'application/xml' });
+  response.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+}
+
+// Just the S3 calls an export makes: bucket and object PUTs, the multipart
+// upload calls and GETs through a presigned URL. Signatures are not checked.
+function s3StandIn() {
+  const objects = new Map();
+  const uploads = new Map();
+
+  return createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://s3.local');
+    const [, bucket, ...key] = url.pathname.split('/');
+    const uploadId = url.searchParams.get('uploadId');
+    const body = await readBody(request);
+
+    if (request.method === 'POST' && url.searchParams.has('uploads')) {
+      const id = randomUUID();
+      uploads.set(id, new Map());
+      return xml(response, '<InitiateMultipartUploadResult>' +
+        `<Bucket>${bucket}</Bucket><Key>${key.join('/')}</Key><UploadId>${id}</UploadId>` +
+        '</InitiateMultipartUploadResult>');
+    }
+    if (uploadId && !uploads.has(uploadId)) {
+      response.writeHead(404).end();
+      return;
+    }
+    if (request.method === 'PUT' && uploadId) {
+      const partNumber = Number(url.searchParams.get('partNumber'));
+      uploads.get(uploadId).set(partNumber, body);
+      response.writeHead(200, { etag: `"part-${partNumber}"` }).end();
+      return;
+    }
+    if (request.method === 'POST' && uploadId) {
+      const parts = [...uploads.get(uploadId)].sort(([a], [b]) => a - b).map(([, part]) => part);
+      uploads.delete(uploadId);
+      objects.set(url.pathname, Buffer.concat(parts));
+      return xml(response, '<CompleteMultipartUploadResult>' +
+        `<Bucket>${bucket}</Bucket><Key>${key.join('/')}</Key><ETag>"multipart"</ETag>` +
+        '</CompleteMultipartUploadResult>');
+    }
+    if (request.method === 'DELETE' && uploadId) {
+      uploads.delete(uploadId);
+      response.writeHead(204).end();
+      return;
+    }
+    if (request.method === 'PUT') {
+      // A PUT without a key creates the bucket
+      if (key.length > 0) {
+        objects.set(url.pathname, body);
+      }
+      response.writeHead(200, { etag: '"object"' }).end();
+      return;
+    }
+    if (request.method === 'GET') {
+      const object = objects.get(url.pathname);
+      if (!url.searchParams.has('X-Amz-Signature')) {
+        response.writeHead(403).end();
+      } else if (!object) {
+        response.writeHead(404).end();
+      } else {
+        response.writeHead(200, {
+          'content-length': object.length,
+          'content-disposition': url.searchParams.get('response-content-disposition') ?? 'attachment'
+        }).end(object);
+      }
+      return;
+    }
+    response.writeHead(501).end();
+  });
+}
+
+const server = process.env.S3_ENDPOINT ? undefined : s3StandIn();
+let s3Client;
+if (server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  s3Client = new S3Client({
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    forcePathStyle: true,
+    credentials: { accessKeyId: 'test', secretAccessKey: 'test' }
+  });
+} else {
+  ({ s3Client } = await import('../../src/lib/clients.mjs'));
+}
+
+after(() => {
+  s3Client.destroy();
+  server?.closeAllConnections();
+  server?.close();
+});
+
+function order(n, { items } = {}) {
+  const createdAt = new Date(Date.UTC(2025, 0, 1) + n * 60000).toISOString();
+  return {
+    id: `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`,
+    status: 'CONFIRMED',
+    ownerId: 'customer-1',
+    customerId: CUSTOMER_ID,
+    customerName: 'Acme, Inc.',
+    items: items ?? [
+      { sku: 'WIDGET-1', name: 'Widget', qty: 2, unitPrice: 1250, currency: 'USD', lineTotal: 2500 },
+      { sku: 'GADGET-2', name: 'Gadget', qty: 1, unitPrice: 999, currency: 'USD', lineTotal: 999 }
+    ],
+    totals: { currency: 'USD', subtotal: 3499, tax: 0, total: 3499 },
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+// A DynamoDB stand-in serving `count` generated orders a page at a time
+function ordersTable(count, make = order) {
+  return {
+    async send(command) {
+      const start = command.input.ExclusiveStartKey?.n ?? 0;
+      const end = Math.min(start + command.input.Limit, count);
+      const orders = [];
+      for (let n = start; n < end; n++) {
+        orders.push(make(n));
+      }
+      return { Items: orders, LastEvaluatedKey: end < count ? { n: end } : undefined };
+    }
+  };
+}
+
+function exportOptions(overrides) {
+  return {
+    format: 'csv',
+    bucket: BUCKET,
+    key: `exports/test/${Date.now()}/orders.csv`,
+    filename: 'orders.csv',
+    inlineMaxBytes: 1024,
+    urlExpiresInSeconds: 300,
+    ...overrides
+  };
+}
+
+describe('exportOrders inline', () => {
+  it('returns a small CSV export in the response', async () => {
+    const result = await exportOrders({ ddbDocClient: ordersTable(2), s3Client }, plan, exportOptions({ inlineMaxBytes: 4096 }));
+
+    assert.equal(result.orderCount, 2);
+    assert.equal(result.url, undefined);
+    assert.equal(result.bytes, Buffer.byteLength(result.body));
+    const rows = result.body.split('\r\n');
+    assert.equal(rows[0].split(',').length, 18);
+    assert.equal(rows[1],
+      '00000000-0000-4000-8000-000000000000,2025-01-01T00:00:00.000Z,2025-01-01T00:00:00.000Z,CONFIRMED,customer-1,,' +
+      '11111111-1111-4111-8111-111111111111,"Acme, Inc.",USD,34.99,0.00,34.99,1,WIDGET-1,Widget,2,12.50,25.00');
+    assert.equal(rows.length, 6);
+  });
+
+  it('writes one row for an order with no items', async () => {
+    const table = ordersTable(1, n => order(n, { items: [] }));
+    const { body } = await exportOrders({ ddbDocClient: table, s3Client }, plan, exportOptions({ inlineMaxBytes: 4096 }));
+
+    const [, row] = body.split('\r\n');
+    assert.equal(row,
+      '00000000-0000-4000-8000-000000000000,2025-01-01T00:00:00.000Z,2025-01-01T00:00:00.000Z,CONFIRMED,customer-1,,' +
+      '11111111-1111-4111-8111-111111111111,"Acme, Inc.",USD,34.99,0.00,34.99,,,,,,');
+    assert.equal(row.split(',').length, 19);
+  });
+
+  it('returns NDJSON with one order per line', async () => {
+    const { body, orderCount } = await exportOrders({ ddbDocClient: ordersTable(3), s3Client }, plan,
+      exportOptions({ format: 'ndjson', inlineMaxBytes: 8192 }));
+
+    const lines = body.trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.equal(orderCount, 3);
+    assert.deepEqual(lines.map(line => line.items.length), [2, 2, 2]);
+  });
+});
+
+describe('exportOrders via S3', () => {
+  const commands = [];
+
+  before(async () => {
+    try {
+      await s3Client.send(new CreateBucketCommand({ Bucket: BUCKET }));
+    } catch (error) {
+      if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(error.name)) {
+        throw error;
+      }
+    }
+    const send = s3Client.send.bind(s3Client);
+    mock.method(s3Client, 'send', (command, ...rest) => {
+      commands.push(command.constructor.name);
+      return send(command, ...rest);
+    });
+  });
+
+  after(() => mock.restoreAll());
+
+  it('streams a large export as a multipart upload and returns a presigned URL', async () => {
+    const result = await exportOrders({ ddbDocClient: ordersTable(MULTIPART_ORDER_COUNT), s3Client }, plan, exportOptions());
+
+    assert.equal(result.orderCount, MULTIPART_ORDER_COUNT);
+    assert.equal(result.body, undefined);
+    assert.ok(commands.includes('CreateMultipartUploadCommand'));
+    assert.ok(commands.filter(name => name === 'UploadPartCommand').length > 1);
+    assert.ok(commands.includes('CompleteMultipartUploadCommand'));
+    assert.ok(Date.parse(result.expiresAt) > Date.now());
+
+    const response = await fetch(result.url);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /filename="orders\.csv"/);
+    const body = await response.text();
+    assert.equal(Buffer.byteLength(body), result.bytes);
+    const rows = body.split('\r\n');
+    assert.equal(rows[0].split(',')[0], 'orderId');
+    // Two line items per order, a header and the final line break
+    assert.equal(rows.length, MULTIPART_ORDER_COUNT * 2 + 2);
+  });
+});